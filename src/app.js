@@ -1,9 +1,21 @@
 import express from "express"
 import cors from "cors"
 import cookieParser from "cookie-parser"
+import { requestId, requestLogger } from "./middlewares/requestLogger.middleware.js"
 
 const app = express()
 
+//behind a load balancer / reverse proxy req.ip must come from X-Forwarded-For, or every client shares one rate limit
+//a hop count, true/false, or a list of trusted addresses / subnets
+const trustProxy = process.env.TRUST_PROXY
+if (trustProxy) {
+    app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : ["true", "false"].includes(trustProxy) ? trustProxy === "true" : trustProxy)
+}
+
+//first, so every response (errors included) carries the request id and gets logged
+app.use(requestId)
+app.use(requestLogger)
+
 app.use(cors({
     origin: process.env.CORS_ORIGIN,
     credentials: true
@@ -14,11 +26,60 @@ app.use(express.urlencoded({ extended: true, limit: "16kb" }))
 app.use(express.static("public"))
 app.use(cookieParser())
 
+import { notFoundHandler, errorHandler } from "./middlewares/error.middleware.js"
+import { rateLimit } from "./middlewares/rateLimit.middleware.js"
+
+//a general per-ip ceiling on writes, the auth routes have tighter limits of their own
+//and chunk uploads are bounded by their upload session instead
+app.use("/api/v1", rateLimit({
+    name: "write",
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    skip: (req) => ["GET", "HEAD", "OPTIONS"].includes(req.method) ||
+        (req.method === "PUT" && req.path.startsWith("/uploads/"))
+}))
+
 //routes import
 import userRoutes from "./routes/user.route.js"
+import videoRoutes from "./routes/video.route.js"
+import commentRoutes from "./routes/comment.route.js"
+import likeRoutes from "./routes/like.route.js"
+import playlistRoutes from "./routes/playlist.route.js"
+import tweetRoutes from "./routes/tweet.route.js"
+import subscriptionRoutes from "./routes/subscription.route.js"
+import dashboardRoutes from "./routes/dashboard.route.js"
+import searchRoutes from "./routes/search.route.js"
+import adminRoutes from "./routes/admin.route.js"
+import feedRoutes from "./routes/feed.route.js"
+import notificationRoutes from "./routes/notification.route.js"
+import uploadRoutes from "./routes/upload.route.js"
+import dataExportRoutes from "./routes/dataExport.route.js"
+import docsRoutes from "./routes/docs.route.js"
+import metricsRoutes from "./routes/metrics.route.js"
+import healthRoutes from "./routes/health.route.js"
 
 
 //routes declaration
 app.use("/api/v1/users", userRoutes)
+app.use("/api/v1/videos", videoRoutes)
+app.use("/api/v1/comments", commentRoutes)
+app.use("/api/v1/likes", likeRoutes)
+app.use("/api/v1/playlists", playlistRoutes)
+app.use("/api/v1/tweets", tweetRoutes)
+app.use("/api/v1/subscriptions", subscriptionRoutes)
+app.use("/api/v1/dashboard", dashboardRoutes)
+app.use("/api/v1/search", searchRoutes)
+app.use("/api/v1/admin", adminRoutes)
+app.use("/api/v1/feed", feedRoutes)
+app.use("/api/v1/notifications", notificationRoutes)
+app.use("/api/v1/uploads", uploadRoutes)
+app.use("/api/v1/exports", dataExportRoutes)
+app.use("/api/v1/docs", docsRoutes)
+app.use("/metrics", metricsRoutes)
+app.use("/health", healthRoutes)
+
+//unknown routes and every error end up here as ApiResponse shaped json
+app.use(notFoundHandler)
+app.use(errorHandler)
 
 export {app}
\ No newline at end of file
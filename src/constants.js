@@ -1,3 +1,28 @@
 export const DB_NAME = 'videotube'
 
-
+// Stable, machine-readable codes sent with every error response
+export const ERROR_CODES = {
+    BAD_REQUEST: 'BAD_REQUEST',
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    INVALID_ID: 'INVALID_ID',
+    INVALID_JSON: 'INVALID_JSON',
+    AUTH_REQUIRED: 'AUTH_REQUIRED',
+    AUTH_INVALID_CREDENTIALS: 'AUTH_INVALID_CREDENTIALS',
+    AUTH_TOKEN_EXPIRED: 'AUTH_TOKEN_EXPIRED',
+    AUTH_TOKEN_INVALID: 'AUTH_TOKEN_INVALID',
+    AUTH_TOKEN_REUSED: 'AUTH_TOKEN_REUSED',
+    AUTH_SESSION_REVOKED: 'AUTH_SESSION_REVOKED',
+    FORBIDDEN: 'FORBIDDEN',
+    ACCOUNT_SUSPENDED: 'ACCOUNT_SUSPENDED',
+    ACCOUNT_BANNED: 'ACCOUNT_BANNED',
+    ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    ACCOUNT_PENDING_DELETION: 'ACCOUNT_PENDING_DELETION',
+    NOT_FOUND: 'NOT_FOUND',
+    ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+    CONFLICT: 'CONFLICT',
+    DUPLICATE_RESOURCE: 'DUPLICATE_RESOURCE',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    FILE_UPLOAD_ERROR: 'FILE_UPLOAD_ERROR',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+}
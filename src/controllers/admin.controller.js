@@ -0,0 +1,409 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { User, USER_ROLES } from '../models/user.model.js';
+import { Video } from '../models/video.model.js';
+import { Comment } from '../models/comment.model.js';
+import { Tweet } from '../models/tweet.model.js';
+import { ModerationLog } from '../models/moderationLog.model.js';
+import { revokeSessions } from '../utils/session.js';
+import { removeVideo, removeComment, removeTweet } from '../utils/cascade.js';
+
+const getPagination = (query) => ({
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || 10, 1), 50)
+})
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const logModeration = (req, { action, targetType, targetId, targetUser, reason, details }) =>
+    ModerationLog.create({
+        moderator: req.user._id,
+        action,
+        targetType,
+        targetId,
+        targetUser,
+        reason: reason || "",
+        details
+    })
+
+const findOrFail = async (Model, id, name) => {
+    const document = await Model.findById(id)
+
+    if (!document) {
+        throw new ApiError(404, `${name} NOT FOUND`)
+    }
+
+    return document
+}
+
+// Staff can only act on accounts ranked below their own role
+const assertCanModerate = (actor, target) => {
+    if (actor._id.equals(target._id)) {
+        throw new ApiError(400, "YOU CANNOT MODERATE YOUR OWN ACCOUNT")
+    }
+
+    if (USER_ROLES.indexOf(target.role) >= USER_ROLES.indexOf(actor.role)) {
+        throw new ApiError(403, "YOU CANNOT MODERATE A USER WITH AN EQUAL OR HIGHER ROLE")
+    }
+}
+
+const listUsers = asyncHandler(async (req, res) => {
+    const { q, role, status } = req.query
+
+    const match = {}
+
+    if (q) {
+        const regex = new RegExp(escapeRegex(q), "i")
+        match.$or = [
+            { username: regex },
+            { email: regex },
+            { fullName: regex }
+        ]
+    }
+
+    if (role) match.role = role
+    if (status) match.status = status
+
+    const pipeline = User.aggregate([
+        {
+            $match: match
+        },
+        {
+            $project: {
+                username: 1,
+                email: 1,
+                fullName: 1,
+                avatar: 1,
+                role: 1,
+                status: 1,
+                suspendedUntil: 1,
+                statusReason: 1,
+                isEmailVerified: 1,
+                createdAt: 1
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        }
+    ])
+
+    const users = await User.aggregatePaginate(pipeline, getPagination(req.query))
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            users,
+            "USERS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const updateUserStatus = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { status, reason, suspendedUntil } = req.body
+
+    // moderators can suspend and reinstate, banning is for admins
+    if (status === "banned" && req.user.role !== "admin") {
+        throw new ApiError(403, "ONLY ADMINS CAN BAN ACCOUNTS")
+    }
+
+    if (status === "suspended" && suspendedUntil && suspendedUntil <= new Date()) {
+        throw new ApiError(400, "SUSPENDEDUNTIL MUST BE IN THE FUTURE")
+    }
+
+    const user = await findOrFail(User, userId, "USER")
+
+    assertCanModerate(req.user, user)
+
+    // a ban can only be lifted or changed by another admin
+    if (user.status === "banned" && req.user.role !== "admin") {
+        throw new ApiError(403, "ONLY ADMINS CAN CHANGE THE STATUS OF A BANNED ACCOUNT")
+    }
+
+    const previousStatus = user.status
+
+    user.status = status
+    user.statusReason = status === "active" ? undefined : reason
+    user.suspendedUntil = status === "suspended" ? suspendedUntil : undefined
+    await user.save({ validateBeforeSave: false })
+
+    // locked out accounts lose every session right away
+    if (status !== "active") {
+        await revokeSessions({ user: user._id }, "moderation")
+    }
+
+    await logModeration(req, {
+        action: status === "active" ? "user.reinstate" : status === "banned" ? "user.ban" : "user.suspend",
+        targetType: "user",
+        targetId: user._id,
+        targetUser: user._id,
+        reason,
+        details: { previousStatus, status, suspendedUntil }
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                _id: user._id,
+                status: user.status,
+                suspendedUntil: user.suspendedUntil,
+                statusReason: user.statusReason
+            },
+            "USER STATUS UPDATED SUCCESSFULLY"
+        )
+    )
+})
+
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { role, reason } = req.body
+
+    const user = await findOrFail(User, userId, "USER")
+
+    if (req.user._id.equals(user._id)) {
+        throw new ApiError(400, "YOU CANNOT CHANGE YOUR OWN ROLE")
+    }
+
+    // same rank rule as every other action, so admins can't demote each other
+    assertCanModerate(req.user, user)
+
+    if (user.role === role) {
+        throw new ApiError(409, `USER ALREADY HAS THE ROLE ${role.toUpperCase()}`)
+    }
+
+    const previousRole = user.role
+
+    user.role = role
+    await user.save({ validateBeforeSave: false })
+
+    await logModeration(req, {
+        action: "user.role",
+        targetType: "user",
+        targetId: user._id,
+        targetUser: user._id,
+        reason,
+        details: { previousRole, role }
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { _id: user._id, role: user.role },
+            "USER ROLE UPDATED SUCCESSFULLY"
+        )
+    )
+})
+
+const unpublishVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { reason } = req.body
+
+    const video = await findOrFail(Video, videoId, "VIDEO")
+
+    video.isPublished = false
+    video.moderationLocked = true
+    await video.save()
+
+    await logModeration(req, {
+        action: "video.unpublish",
+        targetType: "video",
+        targetId: video._id,
+        targetUser: video.owner,
+        reason,
+        details: { title: video.title }
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { _id: video._id, isPublished: video.isPublished, moderationLocked: video.moderationLocked },
+            "VIDEO UNPUBLISHED SUCCESSFULLY"
+        )
+    )
+})
+
+// Lets the owner publish the video again, it stays unpublished until they do
+const unlockVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { reason } = req.body
+
+    const video = await findOrFail(Video, videoId, "VIDEO")
+
+    if (!video.moderationLocked) {
+        throw new ApiError(409, "VIDEO IS NOT LOCKED BY MODERATION")
+    }
+
+    video.moderationLocked = false
+    await video.save()
+
+    await logModeration(req, {
+        action: "video.unlock",
+        targetType: "video",
+        targetId: video._id,
+        targetUser: video.owner,
+        reason,
+        details: { title: video.title }
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { _id: video._id, isPublished: video.isPublished, moderationLocked: video.moderationLocked },
+            "VIDEO UNLOCKED SUCCESSFULLY"
+        )
+    )
+})
+
+const deleteAnyVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { reason } = req.body
+
+    const video = await findOrFail(Video, videoId, "VIDEO")
+
+    await removeVideo(video)
+
+    await logModeration(req, {
+        action: "video.delete",
+        targetType: "video",
+        targetId: video._id,
+        targetUser: video.owner,
+        reason,
+        details: { title: video.title, description: video.description }
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "VIDEO DELETED SUCCESSFULLY"
+        )
+    )
+})
+
+const deleteAnyComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const { reason } = req.body
+
+    const comment = await findOrFail(Comment, commentId, "COMMENT")
+
+    await removeComment(comment)
+
+    await logModeration(req, {
+        action: "comment.delete",
+        targetType: "comment",
+        targetId: comment._id,
+        targetUser: comment.owner,
+        reason,
+        details: { content: comment.content, video: comment.video }
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "COMMENT DELETED SUCCESSFULLY"
+        )
+    )
+})
+
+const deleteAnyTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+    const { reason } = req.body
+
+    const tweet = await findOrFail(Tweet, tweetId, "TWEET")
+
+    await removeTweet(tweet)
+
+    await logModeration(req, {
+        action: "tweet.delete",
+        targetType: "tweet",
+        targetId: tweet._id,
+        targetUser: tweet.owner,
+        reason,
+        details: { content: tweet.content }
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "TWEET DELETED SUCCESSFULLY"
+        )
+    )
+})
+
+const getModerationLogs = asyncHandler(async (req, res) => {
+    const { action, targetType, targetId, targetUser, moderator } = req.query
+
+    const match = {}
+
+    if (action) match.action = action
+    if (targetType) match.targetType = targetType
+    if (targetId) match.targetId = new mongoose.Types.ObjectId(targetId)
+    if (targetUser) match.targetUser = new mongoose.Types.ObjectId(targetUser)
+    if (moderator) match.moderator = new mongoose.Types.ObjectId(moderator)
+
+    const pipeline = ModerationLog.aggregate([
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "moderator",
+                foreignField: "_id",
+                as: "moderator",
+                pipeline: [
+                    {
+                        $project: {
+                            username: 1,
+                            fullName: 1,
+                            role: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                moderator: {
+                    $first: "$moderator"
+                }
+            }
+        }
+    ])
+
+    const logs = await ModerationLog.aggregatePaginate(pipeline, getPagination(req.query))
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            logs,
+            "MODERATION LOGS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    listUsers,
+    updateUserStatus,
+    updateUserRole,
+    unpublishVideo,
+    unlockVideo,
+    deleteAnyVideo,
+    deleteAnyComment,
+    deleteAnyTweet,
+    getModerationLogs
+}
@@ -0,0 +1,112 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { User } from '../models/user.model.js';
+import { revokeSessions } from '../utils/session.js';
+import {
+    consumeAccountToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+} from '../utils/accountTokens.js';
+import { logger } from '../utils/logger.js';
+
+const requestEmailVerification = asyncHandler(async (req, res) => {
+    if (req.user.isEmailVerified) {
+        throw new ApiError(400, "EMAIL IS ALREADY VERIFIED")
+    }
+
+    await sendVerificationEmail(req.user)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "VERIFICATION EMAIL SENT"
+        )
+    )
+})
+
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body
+
+    const record = await consumeAccountToken(token, "email-verification")
+
+    const user = await User.findById(record.user)
+
+    if (!user) {
+        throw new ApiError(404, "USER NOT FOUND")
+    }
+
+    // The token was issued for an address the user has since changed
+    if (user.email !== record.email) {
+        throw new ApiError(400, "EMAIL HAS CHANGED SINCE THIS LINK WAS SENT")
+    }
+
+    user.isEmailVerified = true
+    user.emailVerifiedAt = new Date()
+    await user.save({ validateBeforeSave: false })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "EMAIL VERIFIED SUCCESSFULLY"
+        )
+    )
+})
+
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body
+
+    const user = await User.findOne({ email })
+
+    if (user) {
+        try {
+            await sendPasswordResetEmail(user)
+        } catch (error) {
+            logger.error('PASSWORD RESET EMAIL FAILED', { error });
+        }
+    }
+
+    // Same answer whether or not the account exists, so emails can't be probed
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "IF AN ACCOUNT EXISTS FOR THIS EMAIL, A RESET LINK HAS BEEN SENT"
+        )
+    )
+})
+
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body
+
+    const record = await consumeAccountToken(token, "password-reset")
+
+    const user = await User.findById(record.user)
+
+    if (!user) {
+        throw new ApiError(404, "USER NOT FOUND")
+    }
+
+    user.password = newPassword
+    await user.save()
+
+    // Whoever had the old password may still hold a session, end them all
+    await revokeSessions({ user: user._id }, "password-reset")
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "PASSWORD RESET SUCCESSFULLY, PLEASE LOG IN AGAIN"
+        )
+    )
+})
+
+export {
+    requestEmailVerification,
+    verifyEmail,
+    forgotPassword,
+    resetPassword
+}
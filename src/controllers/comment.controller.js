@@ -0,0 +1,264 @@
+import mongoose, { isValidObjectId } from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Comment } from '../models/comment.model.js';
+import { Video } from '../models/video.model.js';
+import { removeComment } from '../utils/cascade.js';
+import { appEvents, EVENTS } from '../utils/events.js';
+import { activeOwnerStages } from '../utils/pipelines.js';
+
+// Shared stages that decorate a comment with its owner, like count and reply count
+const commentDetailsStages = (userId) => [
+    ...activeOwnerStages(),
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "comment",
+            as: "likes"
+        }
+    },
+    {
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "parentComment",
+            as: "replies",
+            pipeline: [
+                {
+                    $project: {
+                        _id: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            owner: {
+                $first: "$owner"
+            },
+            likesCount: {
+                $size: "$likes"
+            },
+            replyCount: {
+                $size: "$replies"
+            },
+            isLiked: {
+                $in: [userId, "$likes.likedBy"]
+            }
+        }
+    },
+    {
+        $project: {
+            likes: 0,
+            replies: 0
+        }
+    }
+]
+
+const getPagination = (query) => ({
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || 10, 1), 50)
+})
+
+// Comments can only be read or written on published videos, or by the video owner
+const findVisibleVideo = async (videoId, userId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "INVALID VIDEO ID")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video || (!video.isPublished && video.owner?.toString() !== userId.toString())) {
+        throw new ApiError(404, "VIDEO NOT FOUND")
+    }
+
+    return video
+}
+
+const findOwnedComment = async (commentId, userId) => {
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "INVALID COMMENT ID")
+    }
+
+    const comment = await Comment.findById(commentId)
+
+    if (!comment) {
+        throw new ApiError(404, "COMMENT NOT FOUND")
+    }
+
+    if (comment.owner.toString() !== userId.toString()) {
+        throw new ApiError(403, "YOU ARE NOT ALLOWED TO MODIFY THIS COMMENT")
+    }
+
+    return comment
+}
+
+const getVideoComments = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { sortBy = "newest" } = req.query
+
+    const video = await findVisibleVideo(videoId, req.user._id)
+
+    // Only top-level comments are listed here, replies are fetched per comment
+    const pipeline = Comment.aggregate([
+        {
+            $match: {
+                video: video._id,
+                parentComment: null
+            }
+        },
+        ...commentDetailsStages(req.user._id),
+        {
+            $sort: sortBy === "top"
+                ? { likesCount: -1, createdAt: -1, _id: -1 }
+                : { createdAt: -1, _id: -1 }
+        }
+    ])
+
+    const comments = await Comment.aggregatePaginate(pipeline, getPagination(req.query))
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            comments,
+            "COMMENTS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const getCommentReplies = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "INVALID COMMENT ID")
+    }
+
+    const parent = await Comment.findById(commentId)
+
+    if (!parent) {
+        throw new ApiError(404, "COMMENT NOT FOUND")
+    }
+
+    await findVisibleVideo(parent.video, req.user._id)
+
+    // Replies read top to bottom like a conversation, so oldest first
+    const pipeline = Comment.aggregate([
+        {
+            $match: {
+                parentComment: new mongoose.Types.ObjectId(commentId)
+            }
+        },
+        ...commentDetailsStages(req.user._id),
+        {
+            $sort: {
+                createdAt: 1,
+                _id: 1
+            }
+        }
+    ])
+
+    const replies = await Comment.aggregatePaginate(pipeline, getPagination(req.query))
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            replies,
+            "REPLIES FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const addComment = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { content, parentCommentId } = req.body
+
+    if (!content?.trim()) {
+        throw new ApiError(400, "COMMENT CONTENT IS REQUIRED")
+    }
+
+    const video = await findVisibleVideo(videoId, req.user._id)
+
+    let parentComment = null
+
+    if (parentCommentId) {
+        if (!isValidObjectId(parentCommentId)) {
+            throw new ApiError(400, "INVALID PARENT COMMENT ID")
+        }
+
+        const parent = await Comment.findById(parentCommentId)
+
+        if (!parent || parent.video.toString() !== video._id.toString()) {
+            throw new ApiError(404, "PARENT COMMENT NOT FOUND")
+        }
+
+        // Only one level of replies: answering a reply attaches to its top-level comment
+        parentComment = parent.parentComment || parent._id
+    }
+
+    const comment = await Comment.create({
+        content: content.trim(),
+        video: video._id,
+        owner: req.user._id,
+        parentComment
+    })
+
+    appEvents.emit(EVENTS.COMMENT_CREATED, { comment })
+
+    return res.status(201).json(
+        new ApiResponse(
+            201,
+            comment,
+            parentComment ? "REPLY ADDED SUCCESSFULLY" : "COMMENT ADDED SUCCESSFULLY"
+        )
+    )
+})
+
+const updateComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const { content } = req.body
+
+    if (!content?.trim()) {
+        throw new ApiError(400, "COMMENT CONTENT IS REQUIRED")
+    }
+
+    const comment = await findOwnedComment(commentId, req.user._id)
+
+    comment.content = content.trim()
+    await comment.save()
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            comment,
+            "COMMENT UPDATED SUCCESSFULLY"
+        )
+    )
+})
+
+const deleteComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+
+    const comment = await findOwnedComment(commentId, req.user._id)
+
+    // Deleting a top-level comment takes its replies (and their likes) with it
+    await removeComment(comment)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "COMMENT DELETED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    getVideoComments,
+    getCommentReplies,
+    addComment,
+    updateComment,
+    deleteComment
+}
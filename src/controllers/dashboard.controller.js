@@ -0,0 +1,219 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Video } from '../models/video.model.js';
+import { Like } from '../models/like.model.js';
+import { Subscription } from '../models/subscription.model.js';
+import { Comment } from '../models/comment.model.js';
+import { View } from '../models/view.model.js';
+
+const SERIES_METRICS = ["views", "subscribers"]
+const SERIES_INTERVALS = { daily: "day", weekly: "week" }
+const MAX_SERIES_DAYS = 366
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Start of the day/week (weeks start on Sunday, same as $dateTrunc) in UTC
+const truncateDate = (date, unit) => {
+    const truncated = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+    if (unit === "week") {
+        truncated.setUTCDate(truncated.getUTCDate() - truncated.getUTCDay())
+    }
+    return truncated
+}
+
+const getChannelStats = asyncHandler(async (req, res) => {
+    const channelId = req.user._id
+
+    const videoIds = await Video.find({ owner: channelId }).distinct("_id")
+
+    const [viewStats, totalLikes, totalSubscribers, totalComments] = await Promise.all([
+        Video.aggregate([
+            {
+                $match: {
+                    owner: channelId
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    totalViews: { $sum: "$views" },
+                    totalVideos: { $sum: 1 },
+                    publishedVideos: {
+                        $sum: { $cond: ["$isPublished", 1, 0] }
+                    }
+                }
+            }
+        ]),
+        Like.countDocuments({ video: { $in: videoIds } }),
+        Subscription.countDocuments({ channel: channelId }),
+        Comment.countDocuments({ video: { $in: videoIds } })
+    ])
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                totalViews: viewStats[0]?.totalViews || 0,
+                totalVideos: viewStats[0]?.totalVideos || 0,
+                publishedVideos: viewStats[0]?.publishedVideos || 0,
+                totalLikes,
+                totalSubscribers,
+                totalComments
+            },
+            "CHANNEL STATS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+// Per-video breakdown of the current user's channel
+const getChannelVideos = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query
+
+    const pipeline = Video.aggregate([
+        {
+            $match: {
+                owner: req.user._id
+            }
+        },
+        {
+            $lookup: {
+                from: "likes",
+                localField: "_id",
+                foreignField: "video",
+                as: "likeDocs",
+                pipeline: [
+                    {
+                        $project: {
+                            _id: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "comments",
+                localField: "_id",
+                foreignField: "video",
+                as: "commentDocs",
+                pipeline: [
+                    {
+                        $project: {
+                            _id: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $project: {
+                title: 1,
+                thumbnail: 1,
+                duration: 1,
+                width: 1,
+                height: 1,
+                codec: 1,
+                fileSize: 1,
+                isPublished: 1,
+                moderationLocked: 1,
+                createdAt: 1,
+                views: 1,
+                likesCount: { $size: "$likeDocs" },
+                commentsCount: { $size: "$commentDocs" }
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        }
+    ])
+
+    const videos = await Video.aggregatePaginate(pipeline, {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            videos,
+            "CHANNEL VIDEOS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+// New subscribers or views per day/week between `from` and `to` (defaults to the last 30 days)
+const getChannelSeries = asyncHandler(async (req, res) => {
+    const { metric = "views", interval = "daily" } = req.query
+
+    if (!SERIES_METRICS.includes(metric)) {
+        throw new ApiError(400, `METRIC MUST BE ONE OF ${SERIES_METRICS.join(", ")}`)
+    }
+
+    const unit = SERIES_INTERVALS[interval]
+
+    if (!unit) {
+        throw new ApiError(400, `INTERVAL MUST BE ONE OF ${Object.keys(SERIES_INTERVALS).join(", ")}`)
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date()
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS)
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        throw new ApiError(400, "INVALID DATE RANGE")
+    }
+
+    if (to - from > MAX_SERIES_DAYS * DAY_MS) {
+        throw new ApiError(400, `DATE RANGE CANNOT EXCEED ${MAX_SERIES_DAYS} DAYS`)
+    }
+
+    const Model = metric === "views" ? View : Subscription
+
+    const buckets = await Model.aggregate([
+        {
+            $match: {
+                channel: req.user._id,
+                createdAt: { $gte: from, $lte: to }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    $dateTrunc: {
+                        date: "$createdAt",
+                        unit
+                    }
+                },
+                count: { $sum: 1 }
+            }
+        }
+    ])
+
+    // Fill in the empty buckets so clients can chart the series directly
+    const counts = new Map(buckets.map((bucket) => [bucket._id.getTime(), bucket.count]))
+    const series = []
+    const step = unit === "week" ? 7 * DAY_MS : DAY_MS
+
+    for (let time = truncateDate(from, unit).getTime(); time <= to.getTime(); time += step) {
+        series.push({
+            date: new Date(time),
+            count: counts.get(time) || 0
+        })
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { metric, interval, from, to, series },
+            "CHANNEL SERIES FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    getChannelStats,
+    getChannelVideos,
+    getChannelSeries
+}
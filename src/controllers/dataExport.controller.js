@@ -0,0 +1,87 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { DataExport } from '../models/dataExport.model.js';
+import { requestDataExport, signDownloadToken, resolveDownload } from '../utils/dataExport.js';
+
+// Completed exports get a freshly signed download link every time they are fetched
+const describeExport = (job, req) => {
+    const description = {
+        _id: job._id,
+        status: job.status,
+        fileSize: job.fileSize,
+        error: job.error,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt,
+        expiresAt: job.expiresAt
+    }
+
+    if (job.status === "completed") {
+        const { token, expiresAt } = signDownloadToken(job)
+        const baseUrl = (process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "")
+
+        description.downloadUrl = `${baseUrl}/api/v1/exports/${job._id}/download?token=${encodeURIComponent(token)}`
+        description.downloadUrlExpiresAt = expiresAt
+    }
+
+    return description
+}
+
+const requestExport = asyncHandler(async (req, res) => {
+    const job = await requestDataExport(req.user._id)
+
+    return res.status(202).json(
+        new ApiResponse(
+            202,
+            describeExport(job, req),
+            "EXPORT STARTED SUCCESSFULLY"
+        )
+    )
+})
+
+const getExports = asyncHandler(async (req, res) => {
+    const jobs = await DataExport.find({ user: req.user._id }).sort({ createdAt: -1 })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            jobs.map((job) => describeExport(job, req)),
+            "EXPORTS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const getExportStatus = asyncHandler(async (req, res) => {
+    const job = await DataExport.findOne({ _id: req.params.exportId, user: req.user._id })
+
+    if (!job) {
+        throw new ApiError(404, "EXPORT NOT FOUND")
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            describeExport(job, req),
+            "EXPORT STATUS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+// No login needed, the signed token in the link is the authorization
+const downloadExport = asyncHandler(async (req, res, next) => {
+    const { job, filePath } = await resolveDownload(req.params.exportId, req.query.token)
+
+    res.set("Cache-Control", "no-store")
+
+    // a missing archive file means the cleanup job got to it first
+    return res.download(filePath, `videotube-export-${job.createdAt.toISOString().slice(0, 10)}.zip`, (error) => {
+        if (error) next(error.code === "ENOENT" ? new ApiError(410, "EXPORT IS NO LONGER AVAILABLE") : error)
+    })
+})
+
+export {
+    requestExport,
+    getExports,
+    getExportStatus,
+    downloadExport
+}
@@ -0,0 +1,42 @@
+import { getOpenApiDocument } from '../utils/openapi.js';
+
+// The spec is served as is, not in the ApiResponse envelope, so tools can load it directly
+const getOpenApiSpec = (req, res) => {
+    return res.status(200).json(getOpenApiDocument(req.app))
+}
+
+// Swagger UI served from the swagger-ui-dist package (see docs.route.js), pointed at the spec above.
+// Nothing is loaded from other origins and tokens typed into it aren't kept in localStorage
+const getDocsPage = (req, res) => {
+    const specUrl = `${req.baseUrl}/openapi.json`
+    const assetsUrl = `${req.baseUrl}/assets`
+
+    return res
+        .status(200)
+        .type("html")
+        .send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>VideoTube API docs</title>
+    <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css" />
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({
+            url: ${JSON.stringify(specUrl)},
+            dom_id: "#swagger-ui",
+            withCredentials: true
+        })
+    </script>
+</body>
+</html>`)
+}
+
+export {
+    getOpenApiSpec,
+    getDocsPage
+}
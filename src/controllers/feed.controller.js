@@ -0,0 +1,83 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Video } from '../models/video.model.js';
+import { getTrendingScores, getForYouScores } from '../utils/feedRanking.js';
+
+// Loads one page of ranked videos, keeping the ranking order and attaching each score
+const hydrateVideos = async (ranked) => {
+    const videos = await Video.aggregate([
+        {
+            $match: {
+                _id: { $in: ranked.map(({ video }) => video) },
+                isPublished: true
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: {
+                    $first: "$owner"
+                }
+            }
+        }
+    ])
+
+    const byId = new Map(videos.map((video) => [video._id.toString(), video]))
+
+    // a video unpublished since the last refresh is simply left out of the page
+    return ranked
+        .filter(({ video }) => byId.has(video.toString()))
+        .map(({ video, score }) => ({ ...byId.get(video.toString()), score }))
+}
+
+const getFeed = asyncHandler(async (req, res) => {
+    const { type } = req.query
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50)
+
+    const { scores, computedAt } = type === "for-you"
+        ? await getForYouScores(req.user._id)
+        : await getTrendingScores()
+
+    const totalDocs = scores.length
+    const totalPages = Math.ceil(totalDocs / limit)
+    const docs = await hydrateVideos(scores.slice((page - 1) * limit, page * limit))
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                type,
+                docs,
+                totalDocs,
+                limit,
+                page,
+                totalPages,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1,
+                computedAt
+            },
+            "FEED FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    getFeed
+}
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { checkStorageHealth } from '../utils/storage.js';
+import { isShuttingDown } from '../utils/shutdown.js';
+
+const MONGOOSE_STATES = ["disconnected", "connected", "connecting", "disconnecting"]
+
+// The process is up and the event loop responds, nothing else is checked so a slow
+// database never gets a healthy process restarted
+const getLiveness = (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { status: "ok", uptime: Math.round(process.uptime()) },
+            "ALIVE"
+        )
+    )
+}
+
+// Whether this instance should get traffic: MongoDB connected, storage reachable, not shutting down
+const getReadiness = asyncHandler(async (req, res) => {
+    const database = MONGOOSE_STATES[mongoose.connection.readyState] || "unknown"
+    const storage = await checkStorageHealth()
+    const shuttingDown = isShuttingDown()
+
+    const ready = database === "connected" && storage.ok && !shuttingDown
+    const statusCode = ready ? 200 : 503
+
+    return res.status(statusCode).json(
+        new ApiResponse(
+            statusCode,
+            {
+                status: ready ? "ready" : "not ready",
+                checks: {
+                    database: { ok: database === "connected", state: database },
+                    storage,
+                    shuttingDown
+                }
+            },
+            ready ? "READY" : "NOT READY"
+        )
+    )
+})
+
+export {
+    getLiveness,
+    getReadiness
+}
@@ -0,0 +1,203 @@
+import { isValidObjectId } from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Like } from '../models/like.model.js';
+import { Video } from '../models/video.model.js';
+import { Comment } from '../models/comment.model.js';
+import { Tweet } from '../models/tweet.model.js';
+import { User } from '../models/user.model.js';
+import { appEvents, EVENTS } from '../utils/events.js';
+
+const TARGET_MODELS = {
+    video: Video,
+    comment: Comment,
+    tweet: Tweet
+}
+
+// Unpublished videos are only visible to their owner
+const isVisibleVideo = (video, userId) =>
+    Boolean(video) && (video.isPublished || video.owner?.toString() === userId.toString())
+
+// Only what the read endpoints show can be liked: comments follow their video, and
+// comments and tweets of accounts pending deletion are hidden
+const isVisibleTarget = async (target, document, userId) => {
+    if (target === "video") {
+        return isVisibleVideo(document, userId)
+    }
+
+    if (target === "comment" && !isVisibleVideo(await Video.findById(document.video).select("isPublished owner"), userId)) {
+        return false
+    }
+
+    return !(await User.exists({ _id: document.owner, deletedAt: { $ne: null } }))
+}
+
+const findLikeTarget = async (target, targetId, userId) => {
+    if (!isValidObjectId(targetId)) {
+        throw new ApiError(400, `INVALID ${target.toUpperCase()} ID`)
+    }
+
+    const document = await TARGET_MODELS[target].findById(targetId)
+
+    if (!document || !(await isVisibleTarget(target, document, userId))) {
+        throw new ApiError(404, `${target.toUpperCase()} NOT FOUND`)
+    }
+
+    return document
+}
+
+// Keeps the denormalized Video.likes counter in step with the likes collection
+const updateLikeCounter = async (target, targetId, amount) => {
+    if (target !== "video") return
+
+    await Video.updateOne(
+        amount < 0 ? { _id: targetId, likes: { $gt: 0 } } : { _id: targetId },
+        { $inc: { likes: amount } }
+    )
+}
+
+// Removing first and creating second makes the toggle safe to run concurrently:
+// only one request can delete a given like, and the unique index rejects a second insert
+const toggleLike = async (target, targetId, userId) => {
+    const removedLike = await Like.findOneAndDelete({
+        [target]: targetId,
+        likedBy: userId
+    })
+
+    if (removedLike) {
+        await updateLikeCounter(target, targetId, -1)
+        return false
+    }
+
+    let like
+
+    try {
+        like = await Like.create({
+            [target]: targetId,
+            likedBy: userId
+        })
+    } catch (error) {
+        // Another request liked it first, the like already exists so nothing to count
+        if (error?.code === 11000) return true
+        throw error
+    }
+
+    await updateLikeCounter(target, targetId, 1)
+    appEvents.emit(EVENTS.LIKE_CREATED, { like })
+    return true
+}
+
+const likeToggleHandler = (target, paramName) => asyncHandler(async (req, res) => {
+    const targetId = req.params[paramName]
+
+    const document = await findLikeTarget(target, targetId, req.user._id)
+
+    const isLiked = await toggleLike(target, document._id, req.user._id)
+
+    const likesCount = await Like.countDocuments({ [target]: document._id })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { isLiked, likesCount },
+            isLiked ? `${target.toUpperCase()} LIKED SUCCESSFULLY` : `${target.toUpperCase()} UNLIKED SUCCESSFULLY`
+        )
+    )
+})
+
+const toggleVideoLike = likeToggleHandler("video", "videoId")
+
+const toggleCommentLike = likeToggleHandler("comment", "commentId")
+
+const toggleTweetLike = likeToggleHandler("tweet", "tweetId")
+
+const getLikedVideos = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query
+
+    const pipeline = Like.aggregate([
+        {
+            $match: {
+                likedBy: req.user._id,
+                video: { $exists: true }
+            }
+        },
+        {
+            // Join the liked video and, inside it, the video owner
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $match: {
+                            isPublished: true
+                        }
+                    },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        $addFields: {
+                            owner: {
+                                $first: "$owner"
+                            }
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            // Drops likes whose video was unpublished or deleted
+            $unwind: "$video"
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                likedAt: "$createdAt",
+                video: 1
+            }
+        }
+    ])
+
+    const likedVideos = await Like.aggregatePaginate(pipeline, {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            likedVideos,
+            "LIKED VIDEOS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    toggleVideoLike,
+    toggleCommentLike,
+    toggleTweetLike,
+    getLikedVideos
+}
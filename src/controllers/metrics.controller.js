@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+import { ApiError } from '../utils/ApiError.js';
+import { renderMetrics } from '../utils/metrics.js';
+import { ERROR_CODES } from '../constants.js';
+
+const sameToken = (a, b) => {
+    const left = Buffer.from(a)
+    const right = Buffer.from(b)
+    return left.length === right.length && crypto.timingSafeEqual(left, right)
+}
+
+// Prometheus scrape endpoint, guarded by METRICS_TOKEN as a bearer token.
+// Open without a token only outside production, it lists every route and the database hosts
+const getMetrics = (req, res) => {
+    const expected = process.env.METRICS_TOKEN
+    const token = req.get("Authorization")?.replace("Bearer ", "")
+
+    if (!expected && process.env.NODE_ENV === "production") {
+        throw new ApiError(403, "METRICS ARE DISABLED UNTIL METRICS_TOKEN IS SET")
+    }
+
+    if (expected && !(token && sameToken(token, expected))) {
+        throw new ApiError(401, "UNAUTHORIZED", [], "", ERROR_CODES.AUTH_REQUIRED)
+    }
+
+    return res
+        .status(200)
+        .type("text/plain; version=0.0.4")
+        .send(renderMetrics())
+}
+
+export { getMetrics }
@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Notification, NOTIFICATION_TYPES } from '../models/notification.model.js';
+import { User } from '../models/user.model.js';
+import { appEvents, EVENTS } from '../utils/events.js';
+
+// keeps proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25 * 1000
+// notifications replayed to a reconnecting stream at most
+const MAX_REPLAY = 50
+
+const getNotifications = asyncHandler(async (req, res) => {
+    const { page, limit, unread } = req.query
+
+    const match = {
+        recipient: new mongoose.Types.ObjectId(req.user._id)
+    }
+
+    if (unread) match.readAt = null
+
+    const pipeline = Notification.aggregate([
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "actor",
+                foreignField: "_id",
+                as: "actor",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                actor: {
+                    $first: "$actor"
+                }
+            }
+        }
+    ])
+
+    const notifications = await Notification.aggregatePaginate(pipeline, {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            notifications,
+            "NOTIFICATIONS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const getUnreadCount = asyncHandler(async (req, res) => {
+    const unreadCount = await Notification.countDocuments({
+        recipient: req.user._id,
+        readAt: null
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { unreadCount },
+            "UNREAD COUNT FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params
+
+    const notification = await Notification.findOne({
+        _id: notificationId,
+        recipient: req.user._id
+    })
+
+    if (!notification) {
+        throw new ApiError(404, "NOTIFICATION NOT FOUND")
+    }
+
+    if (!notification.readAt) {
+        notification.readAt = new Date()
+        await notification.save()
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            notification,
+            "NOTIFICATION MARKED AS READ"
+        )
+    )
+})
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    const { modifiedCount } = await Notification.updateMany(
+        { recipient: req.user._id, readAt: null },
+        { $set: { readAt: new Date() } }
+    )
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { modifiedCount },
+            "ALL NOTIFICATIONS MARKED AS READ"
+        )
+    )
+})
+
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            req.user.notificationPreferences,
+            "NOTIFICATION PREFERENCES FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+// Only the types sent in the body change, the rest keep their current setting
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+    const updates = Object.fromEntries(
+        NOTIFICATION_TYPES
+            .filter((type) => req.body[type] !== undefined)
+            .map((type) => [`notificationPreferences.${type}`, req.body[type]])
+    )
+
+    if (!Object.keys(updates).length) {
+        throw new ApiError(400, "NOTHING TO UPDATE")
+    }
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: updates },
+        { new: true }
+    ).select("notificationPreferences")
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            user.notificationPreferences,
+            "NOTIFICATION PREFERENCES UPDATED SUCCESSFULLY"
+        )
+    )
+})
+
+// Server-Sent Events stream of new notifications. Each event id is the notification id,
+// so a reconnecting EventSource gets what it missed through the Last-Event-ID header.
+const streamNotifications = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString()
+    const lastEventId = req.get("Last-Event-ID")
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        // stops nginx from buffering the stream
+        "X-Accel-Buffering": "no"
+    })
+    res.flushHeaders()
+
+    const send = (event, data, id) => {
+        if (id) res.write(`id: ${id}\n`)
+        res.write(`event: ${event}\n`)
+        res.write(`data: ${JSON.stringify(data)}\n\n`)
+    }
+
+    res.write("retry: 5000\n\n")
+
+    // subscribe before replaying so nothing created in between is lost
+    const onNotification = (notification) => {
+        if (notification.recipient.toString() !== userId) return
+        send("notification", notification, notification._id)
+    }
+
+    // ending the stream lets the server drain, the client reconnects (to another instance)
+    const onShutdown = () => res.end()
+
+    appEvents.on(EVENTS.NOTIFICATION_CREATED, onNotification)
+    appEvents.once(EVENTS.SERVER_SHUTDOWN, onShutdown)
+
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL_MS)
+
+    req.on("close", () => {
+        clearInterval(heartbeat)
+        appEvents.off(EVENTS.NOTIFICATION_CREATED, onNotification)
+        appEvents.off(EVENTS.SERVER_SHUTDOWN, onShutdown)
+    })
+
+    if (mongoose.isValidObjectId(lastEventId)) {
+        const missed = await Notification.find({
+            recipient: req.user._id,
+            _id: { $gt: new mongoose.Types.ObjectId(lastEventId) }
+        })
+            .sort({ _id: 1 })
+            .limit(MAX_REPLAY)
+            .populate("actor", "username fullName avatar")
+            .lean()
+
+        for (const notification of missed) {
+            send("notification", notification, notification._id)
+        }
+    }
+
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null })
+    send("unread-count", { unreadCount })
+})
+
+export {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    streamNotifications
+}
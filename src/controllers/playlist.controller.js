@@ -0,0 +1,571 @@
+import mongoose, { isValidObjectId } from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Playlist, PLAYLIST_VISIBILITY } from '../models/playlist.model.js';
+import { Video } from '../models/video.model.js';
+import { User } from '../models/user.model.js';
+import { activeOwnerStages } from '../utils/pipelines.js';
+
+const isOwner = (playlist, userId) => playlist.owner.toString() === userId.toString()
+
+const isCollaborator = (playlist, userId) =>
+    playlist.collaborators.some((collaborator) => collaborator.toString() === userId.toString())
+
+const findPlaylist = async (playlistId) => {
+    if (!isValidObjectId(playlistId)) {
+        throw new ApiError(400, "INVALID PLAYLIST ID")
+    }
+
+    const playlist = await Playlist.findById(playlistId)
+
+    if (!playlist) {
+        throw new ApiError(404, "PLAYLIST NOT FOUND")
+    }
+
+    return playlist
+}
+
+const findOwnedPlaylist = async (playlistId, userId) => {
+    const playlist = await findPlaylist(playlistId)
+
+    if (!isOwner(playlist, userId)) {
+        throw new ApiError(403, "YOU ARE NOT ALLOWED TO MODIFY THIS PLAYLIST")
+    }
+
+    return playlist
+}
+
+const validateVisibility = (visibility) => {
+    if (visibility !== undefined && !PLAYLIST_VISIBILITY.includes(visibility)) {
+        throw new ApiError(400, `VISIBILITY MUST BE ONE OF ${PLAYLIST_VISIBILITY.join(", ")}`)
+    }
+}
+
+// Summary stages: video count, total duration and the first video's thumbnail as the cover.
+// Only counts videos the viewer may see, so other people's unpublished thumbnails don't leak
+const playlistSummaryStages = (viewerId) => [
+    {
+        $lookup: {
+            from: "videos",
+            localField: "videos",
+            foreignField: "_id",
+            as: "videoDetails",
+            pipeline: [
+                {
+                    $match: {
+                        $or: [
+                            { isPublished: true },
+                            { owner: viewerId }
+                        ]
+                    }
+                },
+                {
+                    $project: {
+                        thumbnail: 1,
+                        duration: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            videoCount: {
+                $size: "$videoDetails"
+            },
+            totalDuration: {
+                $sum: "$videoDetails.duration"
+            },
+            // $lookup doesn't keep the playlist order, so find the first visible video by id
+            coverImage: {
+                $let: {
+                    vars: {
+                        firstVideoId: {
+                            $first: {
+                                $filter: {
+                                    input: "$videos",
+                                    as: "videoId",
+                                    cond: { $in: ["$$videoId", "$videoDetails._id"] }
+                                }
+                            }
+                        }
+                    },
+                    in: {
+                        $first: {
+                            $map: {
+                                input: {
+                                    $filter: {
+                                        input: "$videoDetails",
+                                        as: "video",
+                                        cond: { $eq: ["$$video._id", "$$firstVideoId"] }
+                                    }
+                                },
+                                as: "video",
+                                in: "$$video.thumbnail"
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    {
+        $project: {
+            videoDetails: 0,
+            videos: 0
+        }
+    }
+]
+
+const createPlaylist = asyncHandler(async (req, res) => {
+    const { name, description, visibility } = req.body
+
+    if ([name, description].some((field) => !field || field.trim() === "")) {
+        throw new ApiError(400, "NAME AND DESCRIPTION ARE REQUIRED")
+    }
+
+    validateVisibility(visibility)
+
+    const playlist = await Playlist.create({
+        name: name.trim(),
+        description: description.trim(),
+        visibility,
+        owner: req.user._id
+    })
+
+    return res.status(201).json(
+        new ApiResponse(
+            201,
+            playlist,
+            "PLAYLIST CREATED SUCCESSFULLY"
+        )
+    )
+})
+
+const getUserPlaylists = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "INVALID USER ID")
+    }
+
+    const viewerId = req.user._id
+    const ownerId = new mongoose.Types.ObjectId(userId)
+
+    // The owner sees everything, collaborators also see private playlists they work on,
+    // everyone else only sees public playlists
+    const match = ownerId.equals(viewerId)
+        ? { owner: ownerId }
+        : {
+            owner: ownerId,
+            $or: [
+                { visibility: "public" },
+                { collaborators: viewerId }
+            ]
+        }
+
+    const playlists = await Playlist.aggregate([
+        {
+            $match: match
+        },
+        // playlists of accounts pending deletion are hidden from everyone but the owner
+        ...activeOwnerStages({ as: "ownerDetails", exceptUserId: viewerId }),
+        {
+            $project: {
+                ownerDetails: 0
+            }
+        },
+        ...playlistSummaryStages(viewerId),
+        {
+            $sort: {
+                updatedAt: -1
+            }
+        }
+    ])
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            playlists,
+            "PLAYLISTS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const getPlaylistById = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+
+    const playlist = await findPlaylist(playlistId)
+
+    if (
+        playlist.visibility === "private" &&
+        !isOwner(playlist, req.user._id) &&
+        !isCollaborator(playlist, req.user._id)
+    ) {
+        throw new ApiError(404, "PLAYLIST NOT FOUND")
+    }
+
+    const result = await Playlist.aggregate([
+        {
+            $match: {
+                _id: playlist._id
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "videos",
+                foreignField: "_id",
+                as: "videoDetails",
+                pipeline: [
+                    {
+                        // Hide other people's unpublished videos
+                        $match: {
+                            $or: [
+                                { isPublished: true },
+                                { owner: req.user._id }
+                            ]
+                        }
+                    },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        $addFields: {
+                            owner: {
+                                $first: "$owner"
+                            }
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            // Put the joined videos back in playlist order, skipping videos that no longer exist
+            $addFields: {
+                videos: {
+                    $filter: {
+                        input: {
+                            $map: {
+                                input: "$videos",
+                                as: "videoId",
+                                in: {
+                                    $first: {
+                                        $filter: {
+                                            input: "$videoDetails",
+                                            as: "video",
+                                            cond: { $eq: ["$$video._id", "$$videoId"] }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        as: "video",
+                        cond: { $ne: [{ $type: "$$video" }, "missing"] }
+                    }
+                }
+            }
+        },
+        ...activeOwnerStages({ exceptUserId: req.user._id }),
+        {
+            $addFields: {
+                owner: {
+                    $first: "$owner"
+                }
+            }
+        },
+        {
+            $project: {
+                videoDetails: 0
+            }
+        }
+    ])
+
+    // the owner's account is pending deletion
+    if (!result.length) {
+        throw new ApiError(404, "PLAYLIST NOT FOUND")
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            result[0],
+            "PLAYLIST FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const updatePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+    const { name, description, visibility } = req.body
+
+    if (!name?.trim() && !description?.trim() && visibility === undefined) {
+        throw new ApiError(400, "NOTHING TO UPDATE")
+    }
+
+    validateVisibility(visibility)
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id)
+
+    if (name?.trim()) {
+        playlist.name = name.trim()
+    }
+
+    if (description?.trim()) {
+        playlist.description = description.trim()
+    }
+
+    if (visibility !== undefined) {
+        playlist.visibility = visibility
+    }
+
+    await playlist.save()
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            playlist,
+            "PLAYLIST UPDATED SUCCESSFULLY"
+        )
+    )
+})
+
+const deletePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id)
+
+    await Playlist.findByIdAndDelete(playlist._id)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "PLAYLIST DELETED SUCCESSFULLY"
+        )
+    )
+})
+
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params
+
+    const playlist = await findPlaylist(playlistId)
+
+    if (!isOwner(playlist, req.user._id) && !isCollaborator(playlist, req.user._id)) {
+        throw new ApiError(403, "YOU ARE NOT ALLOWED TO ADD VIDEOS TO THIS PLAYLIST")
+    }
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "INVALID VIDEO ID")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video || (!video.isPublished && video.owner?.toString() !== req.user._id.toString())) {
+        throw new ApiError(404, "VIDEO NOT FOUND")
+    }
+
+    // The $ne filter makes the duplicate check and the push a single atomic update
+    const updated = await Playlist.findOneAndUpdate(
+        {
+            _id: playlist._id,
+            videos: { $ne: video._id }
+        },
+        {
+            $push: { videos: video._id }
+        },
+        {
+            new: true
+        }
+    )
+
+    if (!updated) {
+        throw new ApiError(409, "VIDEO ALREADY IN PLAYLIST")
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            updated,
+            "VIDEO ADDED TO PLAYLIST SUCCESSFULLY"
+        )
+    )
+})
+
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id)
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "INVALID VIDEO ID")
+    }
+
+    const updated = await Playlist.findOneAndUpdate(
+        {
+            _id: playlist._id,
+            videos: videoId
+        },
+        {
+            $pull: { videos: new mongoose.Types.ObjectId(videoId) }
+        },
+        {
+            new: true
+        }
+    )
+
+    if (!updated) {
+        throw new ApiError(404, "VIDEO NOT IN PLAYLIST")
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            updated,
+            "VIDEO REMOVED FROM PLAYLIST SUCCESSFULLY"
+        )
+    )
+})
+
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params
+    const position = Number(req.body.position)
+
+    if (!Number.isInteger(position) || position < 0) {
+        throw new ApiError(400, "POSITION MUST BE A NON-NEGATIVE INTEGER")
+    }
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id)
+
+    const currentVideos = playlist.videos.map((id) => id.toString())
+    const currentIndex = currentVideos.indexOf(videoId)
+
+    if (currentIndex === -1) {
+        throw new ApiError(404, "VIDEO NOT IN PLAYLIST")
+    }
+
+    const reordered = [...playlist.videos]
+    const [moved] = reordered.splice(currentIndex, 1)
+    reordered.splice(Math.min(position, reordered.length), 0, moved)
+
+    // Only write if nobody changed the list since we read it, otherwise the client should retry
+    const updated = await Playlist.findOneAndUpdate(
+        {
+            _id: playlist._id,
+            videos: playlist.videos
+        },
+        {
+            $set: { videos: reordered }
+        },
+        {
+            new: true
+        }
+    )
+
+    if (!updated) {
+        throw new ApiError(409, "PLAYLIST WAS MODIFIED, PLEASE TRY AGAIN")
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            updated,
+            "VIDEO MOVED SUCCESSFULLY"
+        )
+    )
+})
+
+const addCollaborator = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+    const { userId } = req.body
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id)
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "INVALID USER ID")
+    }
+
+    if (isOwner(playlist, userId)) {
+        throw new ApiError(400, "OWNER CANNOT BE A COLLABORATOR")
+    }
+
+    const collaborator = await User.findById(userId).select("_id")
+
+    if (!collaborator) {
+        throw new ApiError(404, "USER NOT FOUND")
+    }
+
+    const updated = await Playlist.findByIdAndUpdate(
+        playlist._id,
+        {
+            $addToSet: { collaborators: collaborator._id }
+        },
+        {
+            new: true
+        }
+    )
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            updated,
+            "COLLABORATOR ADDED SUCCESSFULLY"
+        )
+    )
+})
+
+const removeCollaborator = asyncHandler(async (req, res) => {
+    const { playlistId, userId } = req.params
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user._id)
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "INVALID USER ID")
+    }
+
+    const updated = await Playlist.findByIdAndUpdate(
+        playlist._id,
+        {
+            $pull: { collaborators: new mongoose.Types.ObjectId(userId) }
+        },
+        {
+            new: true
+        }
+    )
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            updated,
+            "COLLABORATOR REMOVED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    createPlaylist,
+    getUserPlaylists,
+    getPlaylistById,
+    updatePlaylist,
+    deletePlaylist,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    moveVideoInPlaylist,
+    addCollaborator,
+    removeCollaborator
+}
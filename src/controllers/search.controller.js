@@ -0,0 +1,223 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Video } from '../models/video.model.js';
+import { User } from '../models/user.model.js';
+import { Tweet } from '../models/tweet.model.js';
+import { activeOwnerStages } from '../utils/pipelines.js';
+
+const SEARCH_TYPES = ["video", "channel", "tweet"]
+const MAX_QUERY_LENGTH = 100
+const SUGGESTION_LIMIT = 5
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const ownerLookupStages = [
+    ...activeOwnerStages(),
+    {
+        $addFields: {
+            owner: {
+                $first: "$owner"
+            }
+        }
+    }
+]
+
+// $text has to be the first stage, the score is then used for ordering
+const textSearchStages = (q, extraMatch = {}) => [
+    {
+        $match: {
+            $text: { $search: q },
+            ...extraMatch
+        }
+    },
+    {
+        $addFields: {
+            score: { $meta: "textScore" }
+        }
+    },
+    {
+        $sort: {
+            score: -1,
+            _id: -1
+        }
+    }
+]
+
+const parseDate = (value, name) => {
+    if (!value) return undefined
+    const date = new Date(value)
+    if (isNaN(date.getTime())) {
+        throw new ApiError(400, `INVALID ${name.toUpperCase()} DATE`)
+    }
+    return date
+}
+
+const parseSeconds = (value, name) => {
+    if (value === undefined || value === "") return undefined
+    const seconds = Number(value)
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        throw new ApiError(400, `${name.toUpperCase()} MUST BE A NON-NEGATIVE NUMBER OF SECONDS`)
+    }
+    return seconds
+}
+
+// Usernames starting with the last word being typed, served from the username index
+const getUsernameSuggestions = async (q) => {
+    const prefix = q.trim().split(/\s+/).pop()?.toLowerCase()
+
+    if (!prefix) return []
+
+    return await User.find({
+        username: { $regex: `^${escapeRegex(prefix)}` },
+        deletedAt: null
+    })
+        .select("username fullName avatar")
+        .sort({ username: 1 })
+        .limit(SUGGESTION_LIMIT)
+        .lean()
+}
+
+const searchVideos = (q, filters, pagination) => {
+    const match = { isPublished: true }
+
+    if (filters.from || filters.to) {
+        match.createdAt = {}
+        if (filters.from) match.createdAt.$gte = filters.from
+        if (filters.to) match.createdAt.$lte = filters.to
+    }
+
+    if (filters.minDuration !== undefined || filters.maxDuration !== undefined) {
+        match.duration = {}
+        if (filters.minDuration !== undefined) match.duration.$gte = filters.minDuration
+        if (filters.maxDuration !== undefined) match.duration.$lte = filters.maxDuration
+    }
+
+    const pipeline = Video.aggregate([
+        ...textSearchStages(q, match),
+        ...ownerLookupStages
+    ])
+
+    return Video.aggregatePaginate(pipeline, pagination)
+}
+
+const searchChannels = (q, pagination) => {
+    const pipeline = User.aggregate([
+        ...textSearchStages(q, { deletedAt: null }),
+        {
+            $lookup: {
+                from: "subscriptions",
+                localField: "_id",
+                foreignField: "channel",
+                as: "subscribers",
+                pipeline: [
+                    {
+                        $project: {
+                            _id: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+                score: 1,
+                subscribersCount: { $size: "$subscribers" }
+            }
+        }
+    ])
+
+    return User.aggregatePaginate(pipeline, pagination)
+}
+
+const searchTweets = (q, filters, pagination) => {
+    const match = {}
+
+    if (filters.from || filters.to) {
+        match.createdAt = {}
+        if (filters.from) match.createdAt.$gte = filters.from
+        if (filters.to) match.createdAt.$lte = filters.to
+    }
+
+    const pipeline = Tweet.aggregate([
+        ...textSearchStages(q, match),
+        ...ownerLookupStages
+    ])
+
+    return Tweet.aggregatePaginate(pipeline, pagination)
+}
+
+const search = asyncHandler(async (req, res) => {
+    const q = req.query.q?.trim()
+
+    if (!q) {
+        throw new ApiError(400, "SEARCH QUERY IS REQUIRED")
+    }
+
+    if (q.length > MAX_QUERY_LENGTH) {
+        throw new ApiError(400, `SEARCH QUERY CANNOT EXCEED ${MAX_QUERY_LENGTH} CHARACTERS`)
+    }
+
+    const types = req.query.type
+        ? req.query.type.split(",").map((type) => type.trim()).filter(Boolean)
+        : SEARCH_TYPES
+
+    const unknownTypes = types.filter((type) => !SEARCH_TYPES.includes(type))
+
+    if (unknownTypes.length) {
+        throw new ApiError(400, `TYPE MUST BE ONE OF ${SEARCH_TYPES.join(", ")}`)
+    }
+
+    const filters = {
+        from: parseDate(req.query.from, "from"),
+        to: parseDate(req.query.to, "to"),
+        minDuration: parseSeconds(req.query.minDuration, "minDuration"),
+        maxDuration: parseSeconds(req.query.maxDuration, "maxDuration")
+    }
+
+    const pagination = {
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50)
+    }
+
+    const [videos, channels, tweets, suggestions] = await Promise.all([
+        types.includes("video") ? searchVideos(q, filters, pagination) : null,
+        types.includes("channel") ? searchChannels(q, pagination) : null,
+        types.includes("tweet") ? searchTweets(q, filters, pagination) : null,
+        getUsernameSuggestions(q)
+    ])
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { query: q, videos, channels, tweets, suggestions },
+            "SEARCH RESULTS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const suggestUsernames = asyncHandler(async (req, res) => {
+    const q = req.query.q?.trim() || ""
+
+    if (q.length > MAX_QUERY_LENGTH) {
+        throw new ApiError(400, `SEARCH QUERY CANNOT EXCEED ${MAX_QUERY_LENGTH} CHARACTERS`)
+    }
+
+    const suggestions = await getUsernameSuggestions(q)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            suggestions,
+            "SUGGESTIONS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    search,
+    suggestUsernames
+}
@@ -0,0 +1,75 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Session } from '../models/session.model.js';
+import { revokeSessions } from '../utils/session.js';
+
+const getActiveSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .select("userAgent ip lastUsedAt createdAt expiresAt")
+        .sort({ lastUsedAt: -1 })
+        .lean()
+
+    // Flag the session making this request so clients can label "this device"
+    const result = sessions.map((session) => ({
+        ...session,
+        isCurrent: session._id.toString() === req.sessionId?.toString()
+    }))
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            result,
+            "SESSIONS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params
+
+    const result = await revokeSessions({ _id: sessionId, user: req.user._id }, "revoked")
+
+    if (!result.matchedCount) {
+        throw new ApiError(404, "SESSION NOT FOUND")
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "SESSION REVOKED SUCCESSFULLY"
+        )
+    )
+})
+
+const logOutAllDevices = asyncHandler(async (req, res) => {
+    await revokeSessions({ user: req.user._id }, "logout-all")
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+        .status(200)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(
+            new ApiResponse(
+                200,
+                null,
+                "LOGGED OUT FROM ALL DEVICES SUCCESSFULLY"
+            )
+        )
+})
+
+export {
+    getActiveSessions,
+    revokeSession,
+    logOutAllDevices
+}
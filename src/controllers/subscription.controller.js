@@ -0,0 +1,183 @@
+import mongoose, { isValidObjectId } from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Subscription } from '../models/subscription.model.js';
+import { User } from '../models/user.model.js';
+import { appEvents, EVENTS } from '../utils/events.js';
+import { activeOwnerStages } from '../utils/pipelines.js';
+
+const getPagination = (query) => ({
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || 10, 1), 50)
+})
+
+// Joins the user on the other side of a subscription (`userField`) and flags
+// whether that user and `userId` follow each other
+const subscriptionUserStages = (userField, userId) => [
+    ...activeOwnerStages({ localField: userField, as: "user" }),
+    {
+        // The reverse subscription exists when the relationship goes both ways
+        $lookup: {
+            from: "subscriptions",
+            let: { otherUser: `$${userField}` },
+            pipeline: [
+                {
+                    $match: {
+                        $expr: {
+                            $and: userField === "subscriber"
+                                ? [
+                                    { $eq: ["$subscriber", userId] },
+                                    { $eq: ["$channel", "$$otherUser"] }
+                                ]
+                                : [
+                                    { $eq: ["$subscriber", "$$otherUser"] },
+                                    { $eq: ["$channel", userId] }
+                                ]
+                        }
+                    }
+                },
+                {
+                    $project: {
+                        _id: 1
+                    }
+                }
+            ],
+            as: "reverseSubscription"
+        }
+    },
+    {
+        $unwind: "$user"
+    },
+    {
+        $sort: {
+            createdAt: -1,
+            _id: -1
+        }
+    },
+    {
+        $project: {
+            _id: 0,
+            user: 1,
+            subscribedAt: "$createdAt",
+            isMutual: {
+                $gt: [{ $size: "$reverseSubscription" }, 0]
+            }
+        }
+    }
+]
+
+const toggleSubscription = asyncHandler(async (req, res) => {
+    const { channelId } = req.params
+
+    if (!isValidObjectId(channelId)) {
+        throw new ApiError(400, "INVALID CHANNEL ID")
+    }
+
+    if (channelId === req.user._id.toString()) {
+        throw new ApiError(400, "YOU CANNOT SUBSCRIBE TO YOUR OWN CHANNEL")
+    }
+
+    const channel = await User.findOne({ _id: channelId, deletedAt: null }).select("_id")
+
+    if (!channel) {
+        throw new ApiError(404, "CHANNEL NOT FOUND")
+    }
+
+    let isSubscribed
+
+    const removedSubscription = await Subscription.findOneAndDelete({
+        subscriber: req.user._id,
+        channel: channel._id
+    })
+
+    if (removedSubscription) {
+        isSubscribed = false
+    } else {
+        try {
+            const subscription = await Subscription.create({
+                subscriber: req.user._id,
+                channel: channel._id
+            })
+            appEvents.emit(EVENTS.SUBSCRIPTION_CREATED, { subscription })
+        } catch (error) {
+            // A concurrent request already subscribed, the unique index kept it to one row
+            if (error?.code !== 11000) throw error
+        }
+        isSubscribed = true
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { isSubscribed },
+            isSubscribed ? "SUBSCRIBED SUCCESSFULLY" : "UNSUBSCRIBED SUCCESSFULLY"
+        )
+    )
+})
+
+// Users who subscribed to the given channel
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+    const { channelId } = req.params
+
+    if (!isValidObjectId(channelId)) {
+        throw new ApiError(400, "INVALID CHANNEL ID")
+    }
+
+    const channelObjectId = new mongoose.Types.ObjectId(channelId)
+
+    const pipeline = Subscription.aggregate([
+        {
+            $match: {
+                channel: channelObjectId
+            }
+        },
+        ...subscriptionUserStages("subscriber", channelObjectId)
+    ])
+
+    const subscribers = await Subscription.aggregatePaginate(pipeline, getPagination(req.query))
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            subscribers,
+            "SUBSCRIBERS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+// Channels the given user has subscribed to
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+    const { subscriberId } = req.params
+
+    if (!isValidObjectId(subscriberId)) {
+        throw new ApiError(400, "INVALID SUBSCRIBER ID")
+    }
+
+    const subscriberObjectId = new mongoose.Types.ObjectId(subscriberId)
+
+    const pipeline = Subscription.aggregate([
+        {
+            $match: {
+                subscriber: subscriberObjectId
+            }
+        },
+        ...subscriptionUserStages("channel", subscriberObjectId)
+    ])
+
+    const channels = await Subscription.aggregatePaginate(pipeline, getPagination(req.query))
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            channels,
+            "SUBSCRIBED CHANNELS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    toggleSubscription,
+    getUserChannelSubscribers,
+    getSubscribedChannels
+}
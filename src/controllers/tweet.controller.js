@@ -0,0 +1,237 @@
+import mongoose, { isValidObjectId } from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Tweet } from '../models/tweet.model.js';
+import { Subscription } from '../models/subscription.model.js';
+import { User } from '../models/user.model.js';
+import { removeTweet } from '../utils/cascade.js';
+import { activeOwnerStages } from '../utils/pipelines.js';
+
+// Decorates a tweet with its owner, like count and whether the viewer liked it
+const tweetDetailsStages = (userId) => [
+    ...activeOwnerStages(),
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "tweet",
+            as: "likes",
+            pipeline: [
+                {
+                    $project: {
+                        likedBy: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            owner: {
+                $first: "$owner"
+            },
+            likesCount: {
+                $size: "$likes"
+            },
+            isLiked: {
+                $in: [userId, "$likes.likedBy"]
+            }
+        }
+    },
+    {
+        $project: {
+            likes: 0
+        }
+    }
+]
+
+// Feed cursors are the createdAt and _id of the last item, so ties on createdAt are never skipped
+const encodeCursor = (tweet) =>
+    Buffer.from(`${tweet.createdAt.toISOString()}_${tweet._id}`).toString("base64url")
+
+const decodeCursor = (cursor) => {
+    const [createdAt, id] = Buffer.from(cursor, "base64url").toString().split("_")
+    const date = new Date(createdAt)
+
+    if (isNaN(date.getTime()) || !isValidObjectId(id)) {
+        throw new ApiError(400, "INVALID CURSOR")
+    }
+
+    return { createdAt: date, _id: new mongoose.Types.ObjectId(id) }
+}
+
+const findOwnedTweet = async (tweetId, userId) => {
+    if (!isValidObjectId(tweetId)) {
+        throw new ApiError(400, "INVALID TWEET ID")
+    }
+
+    const tweet = await Tweet.findById(tweetId)
+
+    if (!tweet) {
+        throw new ApiError(404, "TWEET NOT FOUND")
+    }
+
+    if (tweet.owner.toString() !== userId.toString()) {
+        throw new ApiError(403, "YOU ARE NOT ALLOWED TO MODIFY THIS TWEET")
+    }
+
+    return tweet
+}
+
+const createTweet = asyncHandler(async (req, res) => {
+    const { content } = req.body
+
+    if (!content?.trim()) {
+        throw new ApiError(400, "TWEET CONTENT IS REQUIRED")
+    }
+
+    const tweet = await Tweet.create({
+        content: content.trim(),
+        owner: req.user._id
+    })
+
+    return res.status(201).json(
+        new ApiResponse(
+            201,
+            tweet,
+            "TWEET CREATED SUCCESSFULLY"
+        )
+    )
+})
+
+const getUserTweets = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { page = 1, limit = 10 } = req.query
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "INVALID USER ID")
+    }
+
+    const pipeline = Tweet.aggregate([
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(userId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...tweetDetailsStages(req.user._id)
+    ])
+
+    const tweets = await Tweet.aggregatePaginate(pipeline, {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            tweets,
+            "TWEETS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const getCommunityFeed = asyncHandler(async (req, res) => {
+    const { cursor } = req.query
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50)
+
+    // Every channel the current user is subscribed to, minus accounts pending deletion
+    const subscribedChannels = await Subscription.find({ subscriber: req.user._id }).distinct("channel")
+    const channels = await User.find({ _id: { $in: subscribedChannels }, deletedAt: null }).distinct("_id")
+
+    const match = {
+        owner: { $in: channels }
+    }
+
+    if (cursor) {
+        const last = decodeCursor(cursor)
+        match.$or = [
+            { createdAt: { $lt: last.createdAt } },
+            { createdAt: last.createdAt, _id: { $lt: last._id } }
+        ]
+    }
+
+    // Fetch one extra item to know whether there is a next page
+    const tweets = await Tweet.aggregate([
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $limit: limit + 1
+        },
+        ...tweetDetailsStages(req.user._id)
+    ])
+
+    const hasNextPage = tweets.length > limit
+    const items = tweets.slice(0, limit)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                tweets: items,
+                nextCursor: hasNextPage ? encodeCursor(items[items.length - 1]) : null,
+                hasNextPage
+            },
+            "COMMUNITY FEED FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const updateTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+    const { content } = req.body
+
+    if (!content?.trim()) {
+        throw new ApiError(400, "TWEET CONTENT IS REQUIRED")
+    }
+
+    const tweet = await findOwnedTweet(tweetId, req.user._id)
+
+    tweet.content = content.trim()
+    await tweet.save()
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            tweet,
+            "TWEET UPDATED SUCCESSFULLY"
+        )
+    )
+})
+
+const deleteTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+
+    const tweet = await findOwnedTweet(tweetId, req.user._id)
+
+    await removeTweet(tweet)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "TWEET DELETED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    createTweet,
+    getUserTweets,
+    getCommunityFeed,
+    updateTweet,
+    deleteTweet
+}
@@ -0,0 +1,116 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { UploadSession } from '../models/uploadSession.model.js';
+import {
+    getReceivedRanges,
+    createUploadSession,
+    saveChunk,
+    completeUploadSession,
+    discardUploadSession
+} from '../utils/uploadSessions.js';
+
+// What the client needs to resume: which bytes arrived and which chunks are still missing
+const describeSession = (session) => ({
+    _id: session._id,
+    fileName: session.fileName,
+    mimeType: session.mimeType,
+    totalSize: session.totalSize,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    status: session.status,
+    ...getReceivedRanges(session),
+    asset: session.status === "completed" ? session.asset : undefined,
+    metadata: session.status === "completed" ? session.metadata : undefined,
+    thumbnail: session.status === "completed" ? session.thumbnail : undefined,
+    expiresAt: session.expiresAt
+})
+
+const findOwnedSession = async (uploadId, userId) => {
+    const session = await UploadSession.findOne({ _id: uploadId, owner: userId })
+
+    if (!session) {
+        throw new ApiError(404, "UPLOAD NOT FOUND")
+    }
+
+    return session
+}
+
+const initiateUpload = asyncHandler(async (req, res) => {
+    const session = await createUploadSession(req.user._id, req.body)
+
+    return res.status(201).json(
+        new ApiResponse(
+            201,
+            describeSession(session),
+            "UPLOAD STARTED SUCCESSFULLY"
+        )
+    )
+})
+
+const getUploadStatus = asyncHandler(async (req, res) => {
+    const session = await findOwnedSession(req.params.uploadId, req.user._id)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            describeSession(session),
+            "UPLOAD STATUS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+// The chunk is the raw request body (Content-Type: application/octet-stream)
+const uploadChunk = asyncHandler(async (req, res) => {
+    const { uploadId, index } = req.params
+
+    const session = await findOwnedSession(uploadId, req.user._id)
+
+    const updated = await saveChunk(session, index, req.body)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            describeSession(updated),
+            `CHUNK ${index} RECEIVED`
+        )
+    )
+})
+
+const completeUpload = asyncHandler(async (req, res) => {
+    const session = await completeUploadSession(req.params.uploadId, req.user._id)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            describeSession(session),
+            "UPLOAD COMPLETED SUCCESSFULLY"
+        )
+    )
+})
+
+const abortUpload = asyncHandler(async (req, res) => {
+    const session = await findOwnedSession(req.params.uploadId, req.user._id)
+
+    if (session.status === "assembling") {
+        throw new ApiError(409, "UPLOAD IS BEING COMPLETED")
+    }
+
+    await discardUploadSession(session)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "UPLOAD CANCELLED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    initiateUpload,
+    getUploadStatus,
+    uploadChunk,
+    completeUpload,
+    abortUpload
+}
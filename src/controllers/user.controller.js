@@ -1,42 +1,33 @@
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js'
 import { User } from '../models/user.model.js';
-import { uploadOnCloudinary } from '../utils/cloudinary.js'
+import { WatchHistory } from '../models/watchHistory.model.js';
+import { uploadFile, deleteFile } from '../utils/storage.js'
 import { ApiResponse } from '../utils/ApiResponse.js';
-import jwt from 'jsonwebtoken';
 import mongoose from 'mongoose';
-
-const generateAccessAndRefreshTokens = async (userId) => {
-    try {
-        const user = await User.findById(userId)
-        if (!user) {
-            throw new ApiError(404, "USER NOT FOUND FROM generateAccessAndRefreshTokens FUNCTION")
-        }
-
-        const accessToken = user.generateAccessToken()
-
-        const refreshToken = user.generateRefreshToken()
-        user.refreshToken = refreshToken
-
-        // Save the updated user document to the database
-        // The 'validateBeforeSave: false' option skips validation before saving
-        // This is useful when we want to update only specific fields without triggering full model validation
-        await user.save({
-            validateBeforeSave: false
-        })
-
-        return { accessToken, refreshToken }
-    } catch (error) {
-        throw new ApiError(500, "SOMETHING WENT WRONG WHILE GENERATING ACCESS AND REFRESH TOKENS", error)
+import { assertAccountActive, createSession, rotateSession, revokeSessions } from '../utils/session.js';
+import { sendVerificationEmail } from '../utils/accountTokens.js';
+import { getLockRemaining, recordLoginFailure, clearLoginFailures } from '../utils/loginLockout.js';
+import { getDeletionGraceMs, hideAccountContent, restoreAccountContent } from '../utils/accountDeletion.js';
+import { logger } from '../utils/logger.js';
+import { ERROR_CODES } from '../constants.js';
+import bcrypt from 'bcrypt';
+
+let dummyHash
+
+const getDummyHash = async () => {
+    if (!dummyHash) {
+        dummyHash = await bcrypt.hash("dummy-password-for-timing", 10)
     }
+    return dummyHash
 }
 
 const registerUser = asyncHandler(async (req, res) => {
     //get user details from frontend
-    //validation
+    //validation (format and password strength are checked by registerUserSchema)
     //check if user already exists: username, email
     //take files from multer local filepath
-    //upload avatar, cover image on cloudinary
+    //upload avatar, cover image to media storage
     //create user object - create entry in db
     //update data in database
     //remove password and refresh token fields from response
@@ -46,7 +37,7 @@ const registerUser = asyncHandler(async (req, res) => {
     const { fullName, email, username, password } = req.body
 
     if (
-        [fullName, email, username, password].some((field) => field?.trim() === "")
+        [fullName, email, username, password].some((field) => !field?.trim())
     ) {
         throw new ApiError(400, "ALL FIELDS ARE REQUIRED")
     }
@@ -59,7 +50,7 @@ const registerUser = asyncHandler(async (req, res) => {
         throw new ApiError(409, "USER ALREADY EXISTS")
     }
 
-    const avatarLocalPath = req.files?.avatar[0]?.path;
+    const avatarLocalPath = req.files?.avatar?.[0]?.path;
     // const coverImageLocalPath = req.files?.coverImage[0]?.path;
     let coverImageLocalPath;
 
@@ -71,9 +62,9 @@ const registerUser = asyncHandler(async (req, res) => {
         throw new ApiError(400, "AVATAR LOCAL PATH IS REQUIRED")
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
+    const avatar = await uploadFile(avatarLocalPath, { resourceType: "image" })
 
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    const coverImage = await uploadFile(coverImageLocalPath, { resourceType: "image" })
 
     if (!avatar) {
         throw new ApiError(400, "AVATAR IS REQUIRED")
@@ -85,7 +76,9 @@ const registerUser = asyncHandler(async (req, res) => {
         username: username.toLowerCase(),
         password,
         avatar: avatar.url,
-        coverImage: coverImage?.url || ""
+        avatarAssetId: avatar.assetId,
+        coverImage: coverImage?.url || "",
+        coverImageAssetId: coverImage?.assetId
     })
 
     const createdUser = await User.findOne(user._id).select(
@@ -96,6 +89,13 @@ const registerUser = asyncHandler(async (req, res) => {
         throw new ApiError(500, "USER NOT CREATED")
     }
 
+    //a failed email shouldn't fail the signup, the user can ask for a new link
+    try {
+        await sendVerificationEmail(createdUser)
+    } catch (error) {
+        logger.error('VERIFICATION EMAIL FAILED', { error });
+    }
+
     return res.status(200).json(
         new ApiResponse(200,
             createdUser,
@@ -104,35 +104,54 @@ const registerUser = asyncHandler(async (req, res) => {
     )
 })
 
-const loginUser = asyncHandler(async (req, res) => {
-    // req.body -> data
-    // validation  username or email
-    //find user
-    //password check
-    //generate access token and refresh token
-    //send cookie
-
+// Checks the login name and password against the lockout, shared by login and account restore
+const authenticate = async (req, res) => {
     const { username, email, password } = req.body
     // console.log(`username : ${username} , email : ${email} , password : ${password}`);
     if (!username && !email) {
         throw new ApiError(400, "USERNAME OR EMAIL IS REQUIRED")
     }
 
-    const user = await User.findOne({
-        $or: [{ username }, { email }]
-    })
+    if (!password) {
+        throw new ApiError(400, "PASSWORD IS REQUIRED")
+    }
+
+    //only query the identifier that was sent, an undefined field would match any user
+    const user = await User.findOne(email ? { email } : { username })
+
+    //locks are kept per account, so switching between email and username doesn't earn extra guesses.
+    //unknown login names are locked by name, exactly like real accounts
+    const account = user ? `user:${user._id}` : `name:${(email || username).toLowerCase()}`
 
-    if (!user) {
-        throw new ApiError(404, "USER NOT FOUND")
+    const lockRemaining = await getLockRemaining(account)
+
+    if (lockRemaining > 0) {
+        res.set("Retry-After", String(Math.ceil(lockRemaining / 1000)))
+        throw new ApiError(429, "TOO MANY FAILED LOGIN ATTEMPTS, PLEASE TRY AGAIN LATER", [], "", ERROR_CODES.ACCOUNT_LOCKED)
     }
 
-    const isPasswordValid = await user.isPasswordCorrect(password);
+    //compare against a dummy hash when there is no user so both cases take the same time
+    const isPasswordValid = user
+        ? await user.isPasswordCorrect(password)
+        : await bcrypt.compare(password, await getDummyHash())
 
-    if (!isPasswordValid) {
-        throw new ApiError(400, "INCORRECT PASSWORD")
+    //one answer for unknown users and wrong passwords, so accounts can't be enumerated
+    if (!user || !isPasswordValid) {
+        await recordLoginFailure(account)
+        throw new ApiError(401, "INVALID CREDENTIALS", [], "", ERROR_CODES.AUTH_INVALID_CREDENTIALS)
     }
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id)
+    await clearLoginFailures(account)
+
+    //after the password, so it doesn't tell strangers the account exists
+    assertAccountActive(user)
+
+    return user
+}
+
+//start a session for this device and send the tokens as cookies and in the body
+const sendLoginResponse = async (req, res, user, message) => {
+    const { accessToken, refreshToken } = await createSession(user, req)
 
     const loggedInUser = await User.findById(user._id).select(
         "-password -refreshToken"
@@ -152,24 +171,97 @@ const loginUser = asyncHandler(async (req, res) => {
                 {
                     user: loggedInUser, accessToken, refreshToken
                 },
-                "USER LOGGED IN SUCCESSFULLY"
+                message
             )
         )
+}
+
+const loginUser = asyncHandler(async (req, res) => {
+    // req.body -> data
+    // validation  username or email
+    //find user
+    //password check
+    //start a session for this device with an access token and refresh token
+    //send cookie
+
+    const user = await authenticate(req, res)
+
+    //only checked after the password, so it doesn't tell strangers the account exists
+    if (user.deletedAt) {
+        throw new ApiError(
+            403,
+            `ACCOUNT IS SCHEDULED FOR DELETION ON ${user.purgeAt.toISOString()}, RESTORE IT TO LOG IN`,
+            [],
+            "",
+            ERROR_CODES.ACCOUNT_PENDING_DELETION
+        )
+    }
+
+    return await sendLoginResponse(req, res, user, "USER LOGGED IN SUCCESSFULLY")
 })
 
-const logOutUser = asyncHandler(async (req, res) => {
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $unset: {
-                refreshToken: 1
-            }
-        },
-        {
-            new: true
-        }
+// Soft-deletes the account: every device is logged out and the account is purged
+// once the grace period is over, unless it is restored before that
+const deleteAccount = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id)
+
+    if (!(await user.isPasswordCorrect(req.body.password))) {
+        throw new ApiError(400, "INCORRECT PASSWORD")
+    }
+
+    user.deletedAt = new Date()
+    user.purgeAt = new Date(Date.now() + getDeletionGraceMs())
+    await user.save()
+
+    await revokeSessions({ user: user._id }, "account-deleted")
+    await hideAccountContent(user._id)
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+        .status(200)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(
+            new ApiResponse(
+                200,
+                { deletedAt: user.deletedAt, purgeAt: user.purgeAt },
+                "ACCOUNT SCHEDULED FOR DELETION"
+            )
+        )
+})
+
+// Cancels a pending deletion and logs the user back in
+const restoreAccount = asyncHandler(async (req, res) => {
+    const user = await authenticate(req, res)
+
+    if (!user.deletedAt) {
+        throw new ApiError(409, "ACCOUNT IS NOT SCHEDULED FOR DELETION")
+    }
+
+    //the purge job picks up accounts whose purgeAt has passed, those can't be taken back anymore
+    const restored = await User.findOneAndUpdate(
+        { _id: user._id, deletedAt: { $ne: null }, purgeAt: { $gt: new Date() } },
+        { $set: { deletedAt: null, purgeAt: null } },
+        { new: true }
     )
 
+    if (!restored) {
+        throw new ApiError(410, "ACCOUNT DELETION CAN NO LONGER BE UNDONE")
+    }
+
+    await restoreAccountContent(restored._id)
+
+    return await sendLoginResponse(req, res, restored, "ACCOUNT RESTORED SUCCESSFULLY")
+})
+
+const logOutUser = asyncHandler(async (req, res) => {
+    // Only this device is logged out, other sessions stay active
+    await revokeSessions({ _id: req.sessionId, user: req.user._id }, "logout")
+
     const options = {
         httpOnly: true,
         secure: true
@@ -200,58 +292,30 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
         throw new ApiError(401, "Refresh token missing. Please log in again.");
     }
 
-    try {
-        // Verify the refresh token using the secret key
-        const decodedToken = jwt.verify(
-            incomingRefreshToken,
-            process.env.REFRESH_TOKEN_SECRET
-        );
-
-        // If token verification fails, return an invalid token error message
-        if (!decodedToken) {
-            throw new ApiError(401, "Invalid refresh token. Please log in again.");
-        }
-
-        // Check if the user exists in the database
-        const user = await User.findById(decodedToken?._id);
+    // Verify the token against its session and rotate it, replaying an old token revokes the session
+    const { accessToken, refreshToken } = await rotateSession(incomingRefreshToken, req);
 
-        if (!user) {
-            throw new ApiError(404, "User not found. Please log in again.");
-        }
-
-        // Ensure the refresh token in the user record matches the incoming token
-        if (user?.refreshToken !== incomingRefreshToken) {
-            throw new ApiError(403, "Refresh token mismatch. Please log in again.");
-        }
+    // Define cookie options for security (httpOnly, secure)
+    const options = {
+        httpOnly: true,
+        secure: true
+    };
 
-        // Define cookie options for security (httpOnly, secure)
-        const options = {
-            httpOnly: true,
-            secure: true
-        };
-
-        // Generate new access and refresh tokens for the user
-        const { accessToken, newRefreshToken } = await generateAccessAndRefreshTokens(user._id);
-
-        // Set cookies and return success response with new tokens
-        return res
-            .status(200)
-            .cookie("accessToken", accessToken, options)
-            .cookie("refreshToken", newRefreshToken, options)
-            .json(
-                new ApiResponse(
-                    200,
-                    {
-                        accessToken: accessToken,  // corrected variable name from 'accesssToken'
-                        refreshToken: newRefreshToken  // corrected variable name from 'refreshtoken'
-                    },
-                    "Access token successfully refreshed."
-                )
-            );
-    } catch (error) {
-        // Catch any other errors and return a clear message
-        throw new ApiError(401, "Token refresh failed. Please try logging in again.");
-    }
+    // Set cookies and return success response with new tokens
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, options)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    accessToken,
+                    refreshToken
+                },
+                "Access token successfully refreshed."
+            )
+        );
 });
 
 const changeCurrentpassword = asyncHandler(async (req, res) => {
@@ -263,6 +327,8 @@ const changeCurrentpassword = asyncHandler(async (req, res) => {
     }
     user.password = newPassword;
     await user.save();
+    // every other device logs in again with the new password, this one stays signed in
+    await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } }, "password-change");
     return res.status(200).json(
         new ApiResponse(
             200,
@@ -288,31 +354,49 @@ const UpdateAccountDetails = asyncHandler(async (req, res) => {
     // Destructuring the fullName and email from the request body
     const { fullName, email } = req.body;
     // console.log(fullName, email)
-    // Validate that both fullName and email are provided
-    if (!fullName || !email) {
-        // Throw an error with validation messages if any field is missing
-        throw new ApiError(400, "Validation Error", [
-            { field: "fullName", message: "Full name is required" },
-            { field: "email", message: "Email is required" }
-        ]);
+    // Validate that both fullName and email are provided (updateAccountDetailsSchema checks this first)
+    const missingFields = [
+        !fullName && { field: "fullName", message: "Full name is required" },
+        !email && { field: "email", message: "Email is required" }
+    ].filter(Boolean);
+
+    if (missingFields.length) {
+        // Only report the fields that are actually missing
+        throw new ApiError(400, "Validation Error", missingFields);
     }
 
+    // A new email address has to be verified again
+    const emailChanged = email !== req.user.email;
+    const updates = emailChanged
+        ? { fullName, email, isEmailVerified: false, emailVerifiedAt: null }
+        : { fullName };
+
     // Find and update the user by their ID (retrieved from the request)
-    // - $set is used to update only the specified fields (fullName and email)
+    // - $set is used to update only the specified fields
     // - { new: true } ensures that the updated user object is returned
     // - runValidators: true ensures the data is validated according to the User model schema
     const updatedUser = await User.findByIdAndUpdate(
         req.user._id,
-        { $set: { fullName, email } },
+        { $set: updates },
         { new: true, runValidators: true }
-    ).select("-password"); // Exclude the password field from the returned user object
+    ).select("-password -refreshToken"); // Exclude the password field from the returned user object
+
+    if (emailChanged) {
+        try {
+            await sendVerificationEmail(updatedUser);
+        } catch (error) {
+            logger.error('VERIFICATION EMAIL FAILED', { error });
+        }
+    }
 
     // Return a successful response with the updated user object and a success message
     return res.status(200).json(
         new ApiResponse(
             200,
             updatedUser, // Include updated user details in the response
-            "ACCOUNT DETAILS UPDATED SUCCESSFULLY"
+            emailChanged
+                ? "ACCOUNT DETAILS UPDATED SUCCESSFULLY, PLEASE VERIFY YOUR NEW EMAIL"
+                : "ACCOUNT DETAILS UPDATED SUCCESSFULLY"
         )
     );
 });
@@ -326,24 +410,30 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Please select an image");
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocalPath);
+    const avatar = await uploadFile(avatarLocalPath, { resourceType: "image" });
 
-    if (!avatar.url) {
-        throw new ApiError(500, "Cloudinary error");
+    if (!avatar?.url) {
+        throw new ApiError(500, "Media storage error");
     }
 
+    const oldAvatarAssetId = req.user.avatarAssetId
+
     const updateUser = await User.findByIdAndUpdate(
         req.user._id,
         {
             $set: {
-                avatar: avatar.url
+                avatar: avatar.url,
+                avatarAssetId: avatar.assetId
             }
         },
         {
             new: true
         }
     ).select("-password -refreshToken")
-    //delete old image from cloudinary
+
+    //delete old image from media storage now that the new one is saved
+    await deleteFile(oldAvatarAssetId, { resourceType: "image" })
+
     return res.status(200).json(
         new ApiResponse(
             200,
@@ -361,17 +451,20 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Please select an image");
     }
 
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+    const coverImage = await uploadFile(coverImageLocalPath, { resourceType: "image" });
 
-    if (!coverImage.url) {
-        throw new ApiError(500, "Cloudinary error");
+    if (!coverImage?.url) {
+        throw new ApiError(500, "Media storage error");
     }
 
+    const oldCoverImageAssetId = req.user.coverImageAssetId
+
     const updateUser = await User.findByIdAndUpdate(
         req.user._id,
         {
             $set: {
-                coverImage: coverImage.url
+                coverImage: coverImage.url,
+                coverImageAssetId: coverImage.assetId
             }
         },
         {
@@ -379,6 +472,9 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
         }
     ).select("-password -refreshToken")
 
+    //delete old image from media storage now that the new one is saved
+    await deleteFile(oldCoverImageAssetId, { resourceType: "image" })
+
     return res.status(200).json(
         new ApiResponse(
             200,
@@ -402,8 +498,10 @@ const getUserChannelprofile = asyncHandler(async (req, res) => {
     const channel = await User.aggregate([
         {
             // Match the user by username (convert it to lowercase for case-insensitive search)
+            // accounts pending deletion have no public channel
             $match: {
-                username: username?.toLowerCase()
+                username: username?.toLowerCase(),
+                deletedAt: null
             }
         },
         {
@@ -483,68 +581,144 @@ const getUserChannelprofile = asyncHandler(async (req, res) => {
 
 
 const getWatchHistory = asyncHandler(async (req, res) => {
-    // Start an aggregation query on the User collection
-    const user = User.aggregate([
+    const { page, limit } = req.query
+
+    // Start an aggregation query on the WatchHistory collection, newest entries first
+    const pipeline = WatchHistory.aggregate([
         {
-            // Match the document where the user's _id is equal to the id from the request
+            // Only the logged in user's entries
             $match: {
-                _id: new mongoose.Types.ObjectId(req.user._id), // Convert req.user._id to ObjectId
+                user: new mongoose.Types.ObjectId(req.user._id)
+            }
+        },
+        {
+            $sort: {
+                watchedAt: -1,
+                _id: -1
             }
         },
         {
-            // Perform a $lookup to join the 'videos' collection with the 'User' collection
+            // Join the watched video, with its owner's public profile
             $lookup: {
-                from: "videos", // Collection to join (videos collection)
-                localField: "watchHistory", // Field from the 'User' collection (an array of video IDs)
-                foreignField: "_id", // Field from the 'videos' collection (_id field of each video)
-                as: "watchHistory", // Output field name where the joined data will be stored (as 'watchHistory')
-                // Sub-pipeline inside the $lookup for the 'videos' collection
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
                 pipeline: [
                     {
-                        // Another $lookup to join the 'users' collection with the 'videos' collection to get video owner info
                         $lookup: {
-                            from: "users", // Collection to join (users collection)
-                            localField: "owner", // Field from 'videos' collection (owner's user ID)
-                            foreignField: "_id", // Field from 'users' collection (_id of the owner)
-                            as: "owner", // Output field name for the joined owner data
-                            // Sub-pipeline to control which fields are returned from the 'users' collection
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
                             pipeline: [
                                 {
-                                    // Use $project to return only specific fields from the owner document
                                     $project: {
-                                        fullName: 1, // Include the owner's fullName
-                                        username: 1, // Include the owner's username
-                                        avatar: 1    // Include the owner's avatar (profile picture)
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1
                                     }
                                 }
                             ]
                         }
                     },
                     {
-                        // Add a new field 'owner' to each video document, taking the first element from the 'owner' array
                         $addFields: {
                             owner: {
-                                $first: "$owner" // Use the $first operator to take the first element from the 'owner' array
+                                $first: "$owner"
                             }
                         }
                     }
                 ]
             }
+        },
+        {
+            $addFields: {
+                video: {
+                    $first: "$video"
+                }
+            }
+        },
+        {
+            // Videos unpublished since they were watched stay hidden unless they belong to the user
+            $match: {
+                $or: [
+                    { "video.isPublished": true },
+                    { "video.owner._id": new mongoose.Types.ObjectId(req.user._id) }
+                ]
+            }
+        },
+        {
+            $project: {
+                user: 0
+            }
         }
-    ]);
+    ])
+
+    const history = await WatchHistory.aggregatePaginate(pipeline, {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+    })
 
-    // Send the response back to the client
     return res
-        .status(200) // HTTP status 200 means "OK"
+        .status(200)
         .json(
-            new ApiResponse( // Use a custom ApiResponse object to format the response
-                200, // Status code
-                user[0].watchhistory, // Return the user's watch history from the first user in the result
-                "WATCH HISTORY FETCHED SUCCESSFULLY" // Message to indicate successful retrieval
+            new ApiResponse(
+                200,
+                {
+                    ...history,
+                    paused: Boolean(req.user.watchHistoryPaused)
+                },
+                "WATCH HISTORY FETCHED SUCCESSFULLY"
             )
         );
 });
 
+const removeWatchHistoryEntry = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const entry = await WatchHistory.findOneAndDelete({
+        user: req.user._id,
+        video: videoId
+    })
+
+    if (!entry) {
+        throw new ApiError(404, "WATCH HISTORY ENTRY NOT FOUND")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, null, "WATCH HISTORY ENTRY REMOVED SUCCESSFULLY"))
+})
+
+const clearWatchHistory = asyncHandler(async (req, res) => {
+    const { deletedCount } = await WatchHistory.deleteMany({ user: req.user._id })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { deletedCount }, "WATCH HISTORY CLEARED SUCCESSFULLY"))
+})
+
+// Pausing keeps the existing history, new views just aren't added to it
+const setWatchHistoryPaused = asyncHandler(async (req, res) => {
+    const { paused } = req.body
+
+    await User.updateOne(
+        { _id: req.user._id },
+        { $set: { watchHistoryPaused: paused } }
+    )
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { paused },
+                paused ? "WATCH HISTORY PAUSED" : "WATCH HISTORY RESUMED"
+            )
+        )
+})
+
 export {
     registerUser,
     loginUser,
@@ -556,5 +730,10 @@ export {
     updateUserAvatar,
     updateUserCoverImage,
     getUserChannelprofile,
-    getWatchHistory
+    getWatchHistory,
+    removeWatchHistoryEntry,
+    clearWatchHistory,
+    setWatchHistoryPaused,
+    deleteAccount,
+    restoreAccount
 }
@@ -0,0 +1,458 @@
+import fs from 'fs';
+import mongoose, { isValidObjectId } from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Video } from '../models/video.model.js';
+import { View } from '../models/view.model.js';
+import { LastView, VIEW_DEDUPE_WINDOW_MS } from '../models/lastView.model.js';
+import { WatchHistory } from '../models/watchHistory.model.js';
+import { uploadFile, deleteFile } from '../utils/storage.js';
+import { removeVideo } from '../utils/cascade.js';
+import { claimCompletedUpload } from '../utils/uploadSessions.js';
+import { ingestVideo } from '../utils/videoIngest.js';
+import { appEvents, EVENTS } from '../utils/events.js';
+
+const SORTABLE_FIELDS = ["createdAt", "views", "likes", "duration", "title"]
+
+// Loads a video and makes sure the logged-in user is its owner
+const findOwnedVideo = async (videoId, userId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "INVALID VIDEO ID")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        throw new ApiError(404, "VIDEO NOT FOUND")
+    }
+
+    if (video.owner?.toString() !== userId.toString()) {
+        throw new ApiError(403, "YOU ARE NOT ALLOWED TO MODIFY THIS VIDEO")
+    }
+
+    return video
+}
+
+// Every view is stored as an event for the dashboard time series, Video.views keeps the total.
+// Returns false when the viewer's last counted view of this video is less than the dedupe window ago.
+const recordVideoView = async (video, viewerId) => {
+    const now = new Date()
+
+    try {
+        // moves countedAt forward only when the last counted view is older than the window. Otherwise
+        // the upsert runs into the unique (viewer, video) index, so of several concurrent plays one counts
+        await LastView.updateOne(
+            {
+                viewer: viewerId,
+                video: video._id,
+                countedAt: { $lte: new Date(now.getTime() - VIEW_DEDUPE_WINDOW_MS) }
+            },
+            { $set: { countedAt: now } },
+            { upsert: true }
+        )
+    } catch (error) {
+        if (error?.code === 11000) return false
+        throw error
+    }
+
+    await View.create({
+        video: video._id,
+        channel: video.owner,
+        viewer: viewerId
+    })
+
+    await Video.updateOne(
+        { _id: video._id },
+        { $inc: { views: 1 } }
+    )
+
+    return true
+}
+
+const getAllVideos = asyncHandler(async (req, res) => {
+    const {
+        page = 1,
+        limit = 10,
+        query,
+        sortBy = "createdAt",
+        sortType = "desc",
+        userId,
+        minDuration,
+        maxDuration,
+        minHeight,
+        codec
+    } = req.query
+
+    const match = {}
+
+    if (userId) {
+        if (!isValidObjectId(userId)) {
+            throw new ApiError(400, "INVALID USER ID")
+        }
+        match.owner = new mongoose.Types.ObjectId(userId)
+    }
+
+    // Owners can see their own unpublished videos, everyone else only sees published ones
+    if (!userId || userId !== req.user._id.toString()) {
+        match.isPublished = true
+    }
+
+    if (query?.trim()) {
+        const regex = new RegExp(query.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i")
+        match.$or = [
+            { title: regex },
+            { description: regex }
+        ]
+    }
+
+    if (minDuration !== undefined || maxDuration !== undefined) {
+        match.duration = {}
+        if (minDuration !== undefined) match.duration.$gte = minDuration
+        if (maxDuration !== undefined) match.duration.$lte = maxDuration
+    }
+
+    if (minHeight !== undefined) {
+        match.height = { $gte: minHeight }
+    }
+
+    if (codec) {
+        match.codec = codec
+    }
+
+    const sortField = SORTABLE_FIELDS.includes(sortBy) ? sortBy : "createdAt"
+
+    const pipeline = Video.aggregate([
+        {
+            $match: match
+        },
+        {
+            // Attach the owner's public profile to every video
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: {
+                    $first: "$owner"
+                }
+            }
+        },
+        {
+            $sort: {
+                [sortField]: sortType === "asc" ? 1 : -1,
+                _id: -1
+            }
+        }
+    ])
+
+    const videos = await Video.aggregatePaginate(pipeline, {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+    })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            videos,
+            "VIDEOS FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+const publishAVideo = asyncHandler(async (req, res) => {
+    const { title, description, uploadId } = req.body
+
+    if ([title, description].some((field) => !field || field.trim() === "")) {
+        throw new ApiError(400, "TITLE AND DESCRIPTION ARE REQUIRED")
+    }
+
+    const videoFileLocalPath = req.files?.videoFile?.[0]?.path
+    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path
+
+    // large files come in through the chunked upload api and are referenced by uploadId
+    if (!videoFileLocalPath && !uploadId) {
+        throw new ApiError(400, "VIDEO FILE OR UPLOADID IS REQUIRED")
+    }
+
+    if (videoFileLocalPath && uploadId) {
+        throw new ApiError(400, "SEND EITHER A VIDEO FILE OR AN UPLOADID, NOT BOTH")
+    }
+
+    // the file is probed before it is stored, broken or unsupported videos never reach storage
+    let ingested
+
+    try {
+        ingested = uploadId
+            ? await claimCompletedUpload(uploadId, req.user._id)
+            : await ingestVideo(videoFileLocalPath, { createThumbnail: !thumbnailLocalPath })
+    } catch (error) {
+        if (thumbnailLocalPath) await fs.promises.rm(thumbnailLocalPath, { force: true })
+        throw error
+    }
+
+    const { asset, metadata } = ingested
+
+    // without an uploaded thumbnail a frame of the video is used
+    let thumbnail = ingested.thumbnail
+    let video
+
+    try {
+        if (thumbnailLocalPath) {
+            thumbnail = await uploadFile(thumbnailLocalPath, { resourceType: "image" })
+
+            if (!thumbnail?.url) {
+                throw new ApiError(500, "THUMBNAIL UPLOAD FAILED")
+            }
+
+            // a completed chunked upload may come with a frame that is now unused
+            await deleteFile(ingested.thumbnail?.assetId, { resourceType: "image" })
+        }
+
+        video = await Video.create({
+            title: title.trim(),
+            description: description.trim(),
+            videofile: asset.url,
+            videofileAssetId: asset.assetId,
+            thumbnail: thumbnail?.url,
+            thumbnailAssetId: thumbnail?.assetId,
+            duration: metadata.duration,
+            width: metadata.width,
+            height: metadata.height,
+            codec: metadata.codec,
+            fileSize: metadata.size,
+            owner: req.user._id,
+            isPublished: false
+        })
+    } catch (error) {
+        // nothing references the stored files without the video document
+        await deleteFile(asset.assetId, { resourceType: "video" })
+        await deleteFile(thumbnail?.assetId, { resourceType: "image" })
+        if (ingested.thumbnail?.assetId !== thumbnail?.assetId) {
+            await deleteFile(ingested.thumbnail?.assetId, { resourceType: "image" })
+        }
+        throw error
+    }
+
+    return res.status(201).json(
+        new ApiResponse(
+            201,
+            video,
+            "VIDEO UPLOADED SUCCESSFULLY"
+        )
+    )
+})
+
+const getVideoById = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "INVALID VIDEO ID")
+    }
+
+    const video = await Video.aggregate([
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(videoId)
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: {
+                    $first: "$owner"
+                }
+            }
+        }
+    ])
+
+    // Unpublished videos are only visible to their owner
+    if (
+        !video?.length ||
+        (!video[0].isPublished && video[0].owner?._id.toString() !== req.user._id.toString())
+    ) {
+        throw new ApiError(404, "VIDEO NOT FOUND")
+    }
+
+    // views are counted by recordView once playback starts, here we only hand back where to resume
+    const historyEntry = await WatchHistory.findOne({ user: req.user._id, video: video[0]._id })
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                ...video[0],
+                resumePosition: historyEntry?.position || 0
+            },
+            "VIDEO FETCHED SUCCESSFULLY"
+        )
+    )
+})
+
+// Called by the player when playback starts and again to save progress
+const recordView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { position = 0 } = req.body
+
+    const video = await Video.findById(videoId)
+
+    if (!video || (!video.isPublished && video.owner?.toString() !== req.user._id.toString())) {
+        throw new ApiError(404, "VIDEO NOT FOUND")
+    }
+
+    const counted = await recordVideoView(video, req.user._id)
+
+    let historyEntry = null
+
+    // the view still counts while history is paused, it just isn't remembered
+    if (!req.user.watchHistoryPaused) {
+        historyEntry = await WatchHistory.findOneAndUpdate(
+            { user: req.user._id, video: video._id },
+            { $set: { watchedAt: new Date(), position } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        )
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                counted,
+                views: video.views + (counted ? 1 : 0),
+                position,
+                watchedAt: historyEntry?.watchedAt || null,
+                historyRecorded: Boolean(historyEntry)
+            },
+            "VIEW RECORDED SUCCESSFULLY"
+        )
+    )
+})
+
+const updateVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { title, description } = req.body
+    const thumbnailLocalPath = req.file?.path
+
+    if (!title?.trim() && !description?.trim() && !thumbnailLocalPath) {
+        throw new ApiError(400, "NOTHING TO UPDATE")
+    }
+
+    const video = await findOwnedVideo(videoId, req.user._id)
+
+    if (title?.trim()) {
+        video.title = title.trim()
+    }
+
+    if (description?.trim()) {
+        video.description = description.trim()
+    }
+
+    const oldThumbnailAssetId = video.thumbnailAssetId
+
+    if (thumbnailLocalPath) {
+        const thumbnail = await uploadFile(thumbnailLocalPath, { resourceType: "image" })
+
+        if (!thumbnail?.url) {
+            throw new ApiError(500, "THUMBNAIL UPLOAD FAILED")
+        }
+
+        video.thumbnail = thumbnail.url
+        video.thumbnailAssetId = thumbnail.assetId
+    }
+
+    await video.save()
+
+    // Only remove the old thumbnail once the new one is saved
+    if (thumbnailLocalPath) {
+        await deleteFile(oldThumbnailAssetId, { resourceType: "image" })
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            video,
+            "VIDEO UPDATED SUCCESSFULLY"
+        )
+    )
+})
+
+const deleteVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const video = await findOwnedVideo(videoId, req.user._id)
+
+    await removeVideo(video)
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            null,
+            "VIDEO DELETED SUCCESSFULLY"
+        )
+    )
+})
+
+const togglePublishStatus = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const video = await findOwnedVideo(videoId, req.user._id)
+
+    //a moderator took it down, only staff can lift that (PATCH /admin/videos/:videoId/unlock)
+    if (video.moderationLocked) {
+        throw new ApiError(403, "VIDEO WAS UNPUBLISHED BY A MODERATOR AND CAN'T BE PUBLISHED AGAIN")
+    }
+
+    video.isPublished = !video.isPublished
+    await video.save()
+
+    if (video.isPublished) {
+        appEvents.emit(EVENTS.VIDEO_PUBLISHED, { video })
+    }
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            { isPublished: video.isPublished },
+            video.isPublished ? "VIDEO PUBLISHED SUCCESSFULLY" : "VIDEO UNPUBLISHED SUCCESSFULLY"
+        )
+    )
+})
+
+export {
+    getAllVideos,
+    publishAVideo,
+    getVideoById,
+    updateVideo,
+    deleteVideo,
+    togglePublishStatus,
+    recordView
+}
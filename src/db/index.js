@@ -1,12 +1,51 @@
 import mongoose from "mongoose";
 import { DB_NAME } from "../constants.js";
+import { logger } from "../utils/logger.js";
+import { trackMongoPool } from "../utils/metrics.js";
 
-export const connectDB = async () => {
-    try {
-        const connectionInstance = await mongoose.connect(`${process.env.MONGODB_URI}/${DB_NAME}`)
-        console.log(`\n MongoDB Connected !! ${connectionInstance.connection.host}`);
-    } catch (error) {
-        console.log('MONGO DB connection error', error);
-        process.exit(1)
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Connects to MongoDB, retrying with exponential backoff (1s, 2s, 4s ... capped at maxDelayMs).
+ * Throws once every attempt failed or `shouldStop` returns true, e.g. because the app is shutting down.
+ * @param {{retries?: number, maxDelayMs?: number, shouldStop?: () => boolean}} [options]
+ */
+export const connectDB = async ({
+    retries = Number(process.env.DB_CONNECT_RETRIES) || 10,
+    maxDelayMs = 30 * 1000,
+    shouldStop = () => false
+} = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const connecting = mongoose.connect(`${process.env.MONGODB_URI}/${DB_NAME}`)
+            // mongoose creates the client synchronously, before any pool connection is opened
+            trackMongoPool(mongoose.connection.getClient())
+            const connectionInstance = await connecting
+            logger.info("MongoDB connected", { host: connectionInstance.connection.host, attempt });
+            return connectionInstance
+        } catch (error) {
+            if (attempt >= retries || shouldStop()) {
+                throw error
+            }
+
+            const delayMs = Math.min(1000 * 2 ** (attempt - 1), maxDelayMs)
+            logger.warn("MongoDB connection failed, retrying", { attempt, retries, delayMs, error });
+            await wait(delayMs)
+
+            if (shouldStop()) {
+                throw error
+            }
+        }
+    }
+}
+
+// Closes the connection pool, waits for operations that are still running.
+// A connect that is still retrying is cut off instead of waiting for its server selection timeout.
+export const disconnectDB = async () => {
+    if (mongoose.connection.readyState === 2) {
+        await mongoose.connection.getClient()?.close(true)
+    } else {
+        await mongoose.connection.close()
     }
+    logger.info("MongoDB connection closed");
 }
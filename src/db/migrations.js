@@ -0,0 +1,41 @@
+import { Video } from "../models/video.model.js";
+import { logger } from "../utils/logger.js";
+
+// "754.2" -> 754.2 and "1:02:03" -> 3723, anything unreadable becomes 0
+const toSeconds = (value) => ({
+    $reduce: {
+        input: { $split: [value, ":"] },
+        initialValue: 0,
+        in: {
+            $add: [
+                { $multiply: ["$$value", 60] },
+                { $convert: { input: { $trim: { input: "$$this" } }, to: "double", onError: 0, onNull: 0 } }
+            ]
+        }
+    }
+})
+
+/**
+ * Video.duration used to be a string, converts the values still stored that way to seconds.
+ * Nothing matches once it has run, so it is cheap to repeat on every start.
+ * @returns {Promise<number>} number of converted videos
+ */
+const migrateVideoDurations = async () => {
+    const { modifiedCount } = await Video.updateMany(
+        { duration: { $type: "string" } },
+        [{ $set: { duration: toSeconds("$duration") } }]
+    )
+
+    return modifiedCount
+}
+
+/**
+ * One-off data migrations, run after connecting and before the background jobs start.
+ */
+export const runMigrations = async () => {
+    const videoDurations = await migrateVideoDurations()
+
+    if (videoDurations) {
+        logger.info("Migrated video durations to seconds", { count: videoDurations });
+    }
+}
@@ -1,20 +1,56 @@
-
-import dotenv from 'dotenv';
+// first import: app.js and the modules below read the environment while they load
+import 'dotenv/config';
 import { connectDB } from "./db/index.js";
+import { runMigrations } from "./db/migrations.js";
 import {app} from './app.js'
-dotenv.config(
-    {
-        path: '.env'
-    }
-)
+import { startFeedScoring } from './utils/feedRanking.js';
+import { registerNotificationListeners } from './utils/notifications.js';
+import { startUploadCleanup } from './utils/uploadSessions.js';
+import { startAccountPurge } from './utils/accountDeletion.js';
+import { startDataExports } from './utils/dataExport.js';
+import { isShuttingDown, shutdown } from './utils/shutdown.js';
+import { logger } from './utils/logger.js';
+
+registerNotificationListeners();
+
+const port = process.env.PORT || 8000;
 
+// listening before the database is up keeps liveness green while connectDB retries,
+// readiness stays red until the connection is there
+const server = app.listen(port, () => logger.info("Server running", { port }));
+
+const stop = (reason, exitCode = 0) => {
+    shutdown(server, reason)
+        .catch((error) => {
+            logger.error("Shutdown failed", { error });
+            exitCode = 1;
+        })
+        .finally(() => process.exit(exitCode));
+}
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+        // a second signal while draining means "stop now"
+        if (isShuttingDown()) {
+            logger.warn("Forced exit", { signal });
+            process.exit(1);
+        }
+        stop(signal);
+    });
+}
 
-connectDB()
+connectDB({ shouldStop: isShuttingDown })
+    .then(() => runMigrations())
     .then(() => {
-        const port = process.env.PORT || 8000;
-        app.listen(port, () => console.log(`Server running on port ${port} 🔥`));
+        if (isShuttingDown()) return;
+        startFeedScoring();
+        startUploadCleanup();
+        startAccountPurge();
+        startDataExports();
     })
     .catch((err) => {
-        console.log('MongoDB connection failed', err);
-        process.exit(1);
+        // a shutdown during the retries already takes care of exiting
+        if (isShuttingDown()) return;
+        logger.error("Startup failed, giving up", { error: err });
+        stop("startup failed", 1);
     });
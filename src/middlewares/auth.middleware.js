@@ -1,7 +1,10 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt  from 'jsonwebtoken';
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
 import { ApiError } from "../utils/ApiError.js";
+import { ERROR_CODES } from "../constants.js";
+import { assertAccountActive } from "../utils/session.js";
 
 export const VerifyJWT = asyncHandler(async (req, _, next) => {
     // console.log(req);
@@ -12,22 +15,51 @@ export const VerifyJWT = asyncHandler(async (req, _, next) => {
         }
         const decodedtoken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
         // console.log(decodedtoken);
+        // access tokens are tied to a device session, revoking the session ends them too
+        const session = decodedtoken?.sid
+            ? await Session.exists({ _id: decodedtoken.sid, revokedAt: null })
+            : null
+        if (!session) {
+            throw new ApiError(401, "SESSION HAS ENDED", [], "", ERROR_CODES.AUTH_SESSION_REVOKED)
+        }
         const user = await User.findById(decodedtoken?._id).select(
             "-password -refreshToken"
         )
         if (!user) {
             //DISCUSS ABOUT FRONTEND
-            throw new ApiError(404, "INVALID ACCESS TOKEN")
+            throw new ApiError(401, "INVALID ACCESS TOKEN", [], "", ERROR_CODES.AUTH_TOKEN_INVALID)
+        }
+        if (user.deletedAt) {
+            throw new ApiError(403, "ACCOUNT IS SCHEDULED FOR DELETION", [], "", ERROR_CODES.ACCOUNT_PENDING_DELETION)
         }
+        assertAccountActive(user)
         req.user = user
+        req.sessionId = decodedtoken.sid
         next()
     } catch (error) {
+        // ApiErrors and jwt errors (expired / malformed token) are mapped by the error middleware
+        if (error instanceof ApiError || error instanceof jwt.JsonWebTokenError) {
+            throw error
+        }
         throw new ApiError(
-            error?.status || 500,
+            error?.statusCode || 500,
             error?.message || "INTERNAL SERVER ERROR"
-
         )
+    }
 
+})
+
+// Use after VerifyJWT: only lets users with one of the given roles through
+export const authorizeRoles = (...roles) => {
+    const middleware = (req, _, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return next(new ApiError(403, "YOU ARE NOT ALLOWED TO ACCESS THIS RESOURCE", [], "", ERROR_CODES.FORBIDDEN))
+        }
+        next()
     }
 
-})
\ No newline at end of file
+    // kept on the middleware so route documentation can list the required roles
+    middleware.roles = roles
+
+    return middleware
+}
@@ -0,0 +1,136 @@
+import mongoose from "mongoose";
+import multer from "multer";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { logger } from "../utils/logger.js";
+import { ERROR_CODES } from "../constants.js";
+
+const STATUS_CODES = {
+    400: ERROR_CODES.BAD_REQUEST,
+    401: ERROR_CODES.AUTH_REQUIRED,
+    403: ERROR_CODES.FORBIDDEN,
+    404: ERROR_CODES.NOT_FOUND,
+    409: ERROR_CODES.CONFLICT,
+    413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+    429: ERROR_CODES.RATE_LIMITED,
+    500: ERROR_CODES.INTERNAL_ERROR
+}
+
+const codeForStatus = (statusCode) =>
+    STATUS_CODES[statusCode] || (statusCode < 500 ? ERROR_CODES.BAD_REQUEST : ERROR_CODES.INTERNAL_ERROR)
+
+// Turns anything thrown in a route into an ApiError with a proper status and code
+const normalizeError = (err) => {
+    if (err instanceof ApiError) {
+        return err
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(err.errors).map((fieldError) => ({
+            field: fieldError.path,
+            message: fieldError.message
+        }))
+        return new ApiError(400, "VALIDATION ERROR", errors, err.stack, ERROR_CODES.VALIDATION_FAILED)
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new ApiError(
+            400,
+            `INVALID ${err.path?.toUpperCase() || "VALUE"}`,
+            [{ field: err.path, message: `Invalid value for ${err.path}` }],
+            err.stack,
+            ERROR_CODES.INVALID_ID
+        )
+    }
+
+    // MongoServerError for a unique index violation
+    if (err?.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {})
+        return new ApiError(
+            409,
+            `${fields.join(", ").toUpperCase() || "RESOURCE"} ALREADY EXISTS`,
+            fields.map((field) => ({ field, message: `${field} already exists` })),
+            err.stack,
+            ERROR_CODES.DUPLICATE_RESOURCE
+        )
+    }
+
+    // TokenExpiredError extends JsonWebTokenError, so check it first
+    if (err instanceof jwt.TokenExpiredError) {
+        return new ApiError(401, "TOKEN EXPIRED", [], err.stack, ERROR_CODES.AUTH_TOKEN_EXPIRED)
+    }
+
+    if (err instanceof jwt.JsonWebTokenError || err instanceof jwt.NotBeforeError) {
+        return new ApiError(401, "INVALID TOKEN", [], err.stack, ERROR_CODES.AUTH_TOKEN_INVALID)
+    }
+
+    if (err instanceof multer.MulterError) {
+        const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400
+        return new ApiError(
+            statusCode,
+            err.message.toUpperCase(),
+            err.field ? [{ field: err.field, message: err.message }] : [],
+            err.stack,
+            statusCode === 413 ? ERROR_CODES.PAYLOAD_TOO_LARGE : ERROR_CODES.FILE_UPLOAD_ERROR
+        )
+    }
+
+    // Errors raised by express.json / express.urlencoded
+    if (err?.type === "entity.parse.failed") {
+        return new ApiError(400, "MALFORMED JSON BODY", [], err.stack, ERROR_CODES.INVALID_JSON)
+    }
+
+    if (err?.type === "entity.too.large") {
+        return new ApiError(413, "REQUEST BODY TOO LARGE", [], err.stack, ERROR_CODES.PAYLOAD_TOO_LARGE)
+    }
+
+    return new ApiError(
+        500,
+        err?.message || "INTERNAL SERVER ERROR",
+        [],
+        err?.stack,
+        ERROR_CODES.INTERNAL_ERROR
+    )
+}
+
+// JSON 404 for anything no router handled
+const notFoundHandler = (req, _, next) => {
+    next(new ApiError(404, `ROUTE ${req.method} ${req.originalUrl} NOT FOUND`, [], "", ERROR_CODES.ROUTE_NOT_FOUND))
+}
+
+// Final error middleware, must be registered after every route.
+// Express only treats it as an error handler because it takes four arguments.
+const errorHandler = (err, req, res, next) => {
+    // a streaming response (e.g. the notification stream) already started, let express close it
+    if (res.headersSent) {
+        return next(err)
+    }
+
+    const error = normalizeError(err)
+    const statusCode = error.statusCode >= 400 && error.statusCode < 600 ? error.statusCode : 500
+    const isProduction = process.env.NODE_ENV === "production"
+
+    if (statusCode >= 500) {
+        logger.error("request failed", { requestId: req.id, error: err })
+    }
+
+    const response = new ApiResponse(
+        statusCode,
+        null,
+        // internal details of unexpected failures stay in the logs in production
+        isProduction && statusCode >= 500 && !(err instanceof ApiError) ? "INTERNAL SERVER ERROR" : error.message,
+        Array.isArray(error.errors) ? error.errors : []
+    )
+    response.code = error.code || codeForStatus(statusCode)
+    // lets a user report the id so the failing request can be found in the logs
+    response.requestId = req.id
+
+    if (!isProduction) {
+        response.stack = error.stack
+    }
+
+    return res.status(statusCode).json(response)
+}
+
+export { notFoundHandler, errorHandler }
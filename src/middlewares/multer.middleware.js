@@ -1,16 +1,16 @@
 import multer from "multer";
+import { TEMP_DIR, createTempFileName } from "../utils/tempFiles.js";
 
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
-        cb(null, './public/temp')
+        cb(null, TEMP_DIR)
     },
     filename: function (req, file, cb) {
-        // const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-        // cb(null, file.fieldname + '-' + uniqueSuffix)
-        cb(null, file.originalname)
+        // never the original name, concurrent uploads of "video.mp4" would overwrite each other
+        cb(null, createTempFileName(file.originalname))
     }
 })
 
 export const upload = multer({
     storage,
-})
\ No newline at end of file
+})
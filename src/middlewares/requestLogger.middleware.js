@@ -0,0 +1,61 @@
+import crypto from "crypto";
+import { logger, redactUrl } from "../utils/logger.js";
+import { recordRequest } from "../utils/metrics.js";
+import { getRoutePattern } from "../utils/routes.js";
+
+// ids from a proxy or the client are kept when they look sane, so one id follows a request across services
+const INCOMING_ID = /^[\w.:-]{1,128}$/
+
+/**
+ * Gives every request an id (req.id), echoed in the X-Request-Id header and in error bodies.
+ */
+export const requestId = (req, res, next) => {
+    const incoming = req.get("X-Request-Id")
+
+    req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID()
+    res.set("X-Request-Id", req.id)
+
+    next()
+}
+
+/**
+ * Logs every finished request as one JSON line and records it in the request metrics.
+ * Put it after requestId.
+ */
+export const requestLogger = (req, res, next) => {
+    const startedAt = process.hrtime.bigint()
+
+    // "close" without "finish" means the client went away before the response was sent
+    let logged = false
+
+    const done = () => {
+        if (logged) return
+        logged = true
+
+        const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6
+        const route = getRoutePattern(req) || "unmatched"
+        const statusCode = res.writableFinished ? res.statusCode : 499
+
+        recordRequest({ method: req.method, route, statusCode, durationSeconds: latencyMs / 1000 })
+
+        const level = statusCode >= 500 ? "error" : statusCode >= 400 ? "warn" : "info"
+
+        logger[level]("request completed", {
+            requestId: req.id,
+            method: req.method,
+            route,
+            url: redactUrl(req.originalUrl),
+            status: statusCode,
+            latencyMs: Math.round(latencyMs * 100) / 100,
+            userId: req.user?._id?.toString(),
+            ip: req.ip,
+            userAgent: req.get("user-agent"),
+            contentLength: Number(res.get("Content-Length")) || undefined
+        })
+    }
+
+    res.on("finish", done)
+    res.on("close", done)
+
+    next()
+}
@@ -0,0 +1,48 @@
+import fs from "fs";
+import { ApiError } from "../utils/ApiError.js";
+import { validateSchema, validateFiles } from "../utils/validation.js";
+import { ERROR_CODES } from "../constants.js";
+
+// Temp files multer already wrote are useless once the request is rejected
+const removeUploadedFiles = (req) => {
+    const files = [
+        ...(req.file ? [req.file] : []),
+        ...Object.values(req.files || {}).flat()
+    ]
+    files.forEach((uploaded) => fs.rm(uploaded.path, { force: true }, () => {}))
+}
+
+/**
+ * Validates the request against per-location schemas built with `t` from utils/validation.js.
+ * Sanitized values replace req.body / req.params / req.query, every failing field is reported
+ * in ApiError.errors. Put it after multer on multipart routes so file fields can be checked.
+ * @param {{body?: Object, params?: Object, query?: Object, files?: Object}} schema
+ */
+export const validate = (schema) => {
+    const middleware = (req, _, next) => {
+        const errors = []
+
+        for (const location of ["params", "query", "body"]) {
+            if (!schema[location]) continue
+            const result = validateSchema(schema[location], req[location], location)
+            errors.push(...result.errors)
+            req[location] = result.value
+        }
+
+        if (schema.files) {
+            errors.push(...validateFiles(schema.files, req))
+        }
+
+        if (errors.length) {
+            removeUploadedFiles(req)
+            return next(new ApiError(400, "VALIDATION ERROR", errors, "", ERROR_CODES.VALIDATION_FAILED))
+        }
+
+        next()
+    }
+
+    // kept on the middleware so route documentation can read the schema back
+    middleware.schema = schema
+
+    return middleware
+}
@@ -17,6 +17,12 @@ const commentSchema = new Schema(
             type: Schema.Types.ObjectId,
             ref: 'Video',
             required: true
+        },
+        // Replies point at the top-level comment they answer, top-level comments have no parent
+        parentComment: {
+            type: Schema.Types.ObjectId,
+            ref: 'Comment',
+            default: null
         }
     },
     {
@@ -24,6 +30,7 @@ const commentSchema = new Schema(
     }
 )
 
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 })
 
 // Add plugin to schema
 commentSchema.plugin(mongooseAggregatePaginate)
@@ -0,0 +1,51 @@
+import mongoose, { Schema } from "mongoose";
+
+// pending: waiting to run, processing: the archive is being built,
+// completed: the archive can be downloaded until expiresAt, failed: see error
+export const EXPORT_STATUSES = ['pending', 'processing', 'completed', 'failed']
+
+// A personal data export requested by a user
+const dataExportSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        status: {
+            type: String,
+            enum: EXPORT_STATUSES,
+            default: 'pending'
+        },
+        // name of the archive in the exports folder, never sent to the client
+        fileName: {
+            type: String,
+            select: false
+        },
+        // bytes
+        fileSize: {
+            type: Number
+        },
+        error: {
+            type: String
+        },
+        startedAt: {
+            type: Date
+        },
+        completedAt: {
+            type: Date
+        },
+        // the archive is deleted after this, the cleanup job removes the record with it
+        expiresAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+dataExportSchema.index({ user: 1, createdAt: -1 })
+dataExportSchema.index({ status: 1, expiresAt: 1 })
+
+export const DataExport = mongoose.model('DataExport', dataExportSchema)
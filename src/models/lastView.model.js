@@ -0,0 +1,30 @@
+import mongoose, { Schema } from "mongoose";
+
+// A user watching the same video again within this window doesn't add another view
+export const VIEW_DEDUPE_WINDOW_MS = 6 * 60 * 60 * 1000
+
+// When a viewer's last view of a video was counted, one document per viewer and video.
+// Only needed for deduping, so each one expires once its window is over
+const lastViewSchema = new Schema(
+    {
+        viewer: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: 'Video',
+            required: true
+        },
+        countedAt: {
+            type: Date,
+            required: true
+        }
+    }
+)
+
+lastViewSchema.index({ viewer: 1, video: 1 }, { unique: true })
+lastViewSchema.index({ countedAt: 1 }, { expireAfterSeconds: VIEW_DEDUPE_WINDOW_MS / 1000 })
+
+export const LastView = mongoose.model('LastView', lastViewSchema)
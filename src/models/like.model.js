@@ -1,4 +1,7 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+export const LIKE_TARGETS = ['comment', 'video', 'tweet']
 
 const likeSchema = new Schema(
     {
@@ -25,4 +28,26 @@ const likeSchema = new Schema(
     }
 )
 
-export const Like = mongoose.model('Like', likeSchema)
\ No newline at end of file
+// A like belongs to exactly one target: a comment, a video or a tweet
+likeSchema.pre("validate", function (next) {
+    const targets = LIKE_TARGETS.filter((target) => this[target])
+    if (targets.length !== 1) {
+        this.invalidate("video", "A like must reference exactly one of comment, video or tweet")
+    }
+    next()
+})
+
+// One like per user per target, the partial filter keeps likes of other target types out of each index
+LIKE_TARGETS.forEach((target) => {
+    likeSchema.index(
+        { [target]: 1, likedBy: 1 },
+        {
+            unique: true,
+            partialFilterExpression: { [target]: { $exists: true } }
+        }
+    )
+})
+
+likeSchema.plugin(mongooseAggregatePaginate)
+
+export const Like = mongoose.model('Like', likeSchema)
@@ -0,0 +1,64 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+export const MODERATION_ACTIONS = [
+    'user.suspend',
+    'user.ban',
+    'user.reinstate',
+    'user.role',
+    'video.unpublish',
+    'video.unlock',
+    'video.delete',
+    'comment.delete',
+    'tweet.delete'
+]
+
+export const MODERATION_TARGETS = ['user', 'video', 'comment', 'tweet']
+
+// Audit trail of every action taken through the admin routes
+const moderationLogSchema = new Schema(
+    {
+        moderator: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        action: {
+            type: String,
+            enum: MODERATION_ACTIONS,
+            required: true
+        },
+        targetType: {
+            type: String,
+            enum: MODERATION_TARGETS,
+            required: true
+        },
+        targetId: {
+            type: Schema.Types.ObjectId,
+            required: true
+        },
+        // owner of the moderated content (or the moderated user), to see a user's history
+        targetUser: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: {
+            type: String,
+            default: ""
+        },
+        // snapshot of what was changed or removed
+        details: {
+            type: Schema.Types.Mixed
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+moderationLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 })
+moderationLogSchema.index({ targetUser: 1, createdAt: -1 })
+
+moderationLogSchema.plugin(mongooseAggregatePaginate)
+
+export const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema)
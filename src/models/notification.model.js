@@ -0,0 +1,57 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// video: a subscribed channel published a video, comment/reply: someone commented on your video
+// or replied to your comment, like: someone liked your content, subscription: a new subscriber
+export const NOTIFICATION_TYPES = ['video', 'comment', 'reply', 'like', 'subscription']
+
+const notificationSchema = new Schema(
+    {
+        recipient: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        // who triggered it
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        type: {
+            type: String,
+            enum: NOTIFICATION_TYPES,
+            required: true
+        },
+        // whatever the notification points at
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: 'Video'
+        },
+        comment: {
+            type: Schema.Types.ObjectId,
+            ref: 'Comment'
+        },
+        tweet: {
+            type: Schema.Types.ObjectId,
+            ref: 'Tweet'
+        },
+        message: {
+            type: String,
+            required: true
+        },
+        readAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+notificationSchema.index({ recipient: 1, createdAt: -1 })
+notificationSchema.index({ recipient: 1, readAt: 1 })
+
+notificationSchema.plugin(mongooseAggregatePaginate)
+
+export const Notification = mongoose.model('Notification', notificationSchema)
@@ -1,10 +1,13 @@
 import mongoose, { Schema } from "mongoose";
 
+export const PLAYLIST_VISIBILITY = ['public', 'unlisted', 'private']
+
 const playlistSchema = new Schema(
     {
         name: {
             type: String,
-            required: true
+            required: true,
+            trim: true
         },
         description: {
             type: String,
@@ -18,12 +21,27 @@ const playlistSchema = new Schema(
         ],
         owner:{
             type: Schema.Types.ObjectId,
-            ref: 'User'
-        }
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        // public: listed on the channel, unlisted: anyone with the link, private: owner and collaborators
+        visibility: {
+            type: String,
+            enum: PLAYLIST_VISIBILITY,
+            default: 'public'
+        },
+        // Collaborators can add videos, only the owner can edit, reorder or delete
+        collaborators: [
+            {
+                type: Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        ]
     },
     {
         timestamps: true
     }
 )
 
-export const Playlist = mongoose.model('Playlist', playlistSchema)
\ No newline at end of file
+export const Playlist = mongoose.model('Playlist', playlistSchema)
@@ -0,0 +1,56 @@
+import mongoose, { Schema } from "mongoose";
+
+// One session per logged in device. Every refresh rotates the token stored here,
+// so the session is the token family: replaying an old token revokes the whole session.
+const sessionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        // sha256 of the current refresh token, the raw token is never stored
+        tokenHash: {
+            type: String,
+            required: true
+        },
+        userAgent: {
+            type: String,
+            default: ""
+        },
+        ip: {
+            type: String,
+            default: ""
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        revokedReason: {
+            type: String,
+            enum: ['logout', 'logout-all', 'revoked', 'token-reuse', 'password-reset', 'password-change', 'moderation', 'account-deleted', null],
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+// MongoDB drops sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date()
+}
+
+export const Session = mongoose.model('Session', sessionSchema)
@@ -1,15 +1,19 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 
 const SubscriptionSchema = new Schema(
     {
         subscriber: {
-            type: Schema.Types.ObjectId,
+            type: Schema.Types.ObjectId, // one who is subscribing
             ref: 'User',
+            required: true
         },
         channel: {
-            type: Schema.Types.ObjectId,
+            type: Schema.Types.ObjectId, // one to whom subscriber is subscribing
             ref: 'User',
+            required: true,
+            index: true
         }
     },
     {
@@ -17,4 +21,16 @@ const SubscriptionSchema = new Schema(
     }
 )
 
+// A user can subscribe to a channel only once
+SubscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true })
+
+SubscriptionSchema.pre("validate", function (next) {
+    if (this.subscriber && this.channel && this.subscriber.equals(this.channel)) {
+        this.invalidate("channel", "You cannot subscribe to your own channel")
+    }
+    next()
+})
+
+SubscriptionSchema.plugin(mongooseAggregatePaginate)
+
 export const Subscription = mongoose.model('Subscription', SubscriptionSchema);
@@ -1,11 +1,14 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 
 const tweetSchema = new Schema(
     {
         content: {
             type: String,
-            required: true
+            required: true,
+            trim: true,
+            maxlength: [280, "tweet content cannot exceed 280 characters"]
         },
         owner: {
             type: Schema.Types.ObjectId,
@@ -18,5 +21,11 @@ const tweetSchema = new Schema(
     }
 )
 
+// Serves both a user's own posts and the community feed, newest first
+tweetSchema.index({ owner: 1, createdAt: -1, _id: -1 })
+
+tweetSchema.index({ content: "text" }, { name: "tweet_text_search" })
+
+tweetSchema.plugin(mongooseAggregatePaginate)
 
-export const Tweet = mongoose.model('Tweet', tweetSchema)
\ No newline at end of file
+export const Tweet = mongoose.model('Tweet', tweetSchema)
@@ -0,0 +1,86 @@
+import mongoose, { Schema } from "mongoose";
+
+// uploading: chunks are coming in, assembling: complete is running,
+// completed: the file is in media storage and can be published as a video
+export const UPLOAD_STATUSES = ['uploading', 'assembling', 'completed']
+
+// A resumable, chunked upload of one large file
+const uploadSessionSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        fileName: {
+            type: String,
+            required: true
+        },
+        mimeType: {
+            type: String,
+            required: true
+        },
+        // bytes
+        totalSize: {
+            type: Number,
+            required: true
+        },
+        // every chunk has this size except the last one
+        chunkSize: {
+            type: Number,
+            required: true
+        },
+        totalChunks: {
+            type: Number,
+            required: true
+        },
+        // sha256 of the whole file, hex encoded
+        checksum: {
+            type: String,
+            required: true
+        },
+        receivedChunks: [
+            {
+                type: Number
+            }
+        ],
+        status: {
+            type: String,
+            enum: UPLOAD_STATUSES,
+            default: 'uploading'
+        },
+        // what media storage returned once the upload completed, with the probed metadata
+        asset: {
+            url: String,
+            assetId: String,
+            resourceType: String,
+            bytes: Number
+        },
+        metadata: {
+            mimeType: String,
+            duration: Number,
+            width: Number,
+            height: Number,
+            codec: String,
+            size: Number
+        },
+        // frame picked as the thumbnail, used when the video is published without one
+        thumbnail: {
+            url: String,
+            assetId: String
+        },
+        // pushed back on every chunk; the cleanup job removes expired sessions with their chunks
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+uploadSessionSchema.index({ owner: 1, status: 1 })
+uploadSessionSchema.index({ expiresAt: 1 })
+
+export const UploadSession = mongoose.model('UploadSession', uploadSessionSchema)
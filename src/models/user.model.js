@@ -1,7 +1,13 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken"
 import bcrypt from "bcrypt"
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { NOTIFICATION_TYPES } from "./notification.model.js";
 
+// ordered from least to most privileged
+export const USER_ROLES = ["user", "moderator", "admin"]
+
+export const ACCOUNT_STATUSES = ["active", "suspended", "banned"]
 
 
 const userSchema = new Schema(
@@ -21,37 +27,85 @@ const userSchema = new Schema(
             lowercase: true,
             trim: true
         },
+        isEmailVerified: {
+            type: Boolean,
+            default: false
+        },
+        emailVerifiedAt: {
+            type: Date,
+        },
         fullName: {
             type: String,
             required: true,
             trim: true
         },
         avatar: {
-            type: String, //cloudinaryurl
+            type: String, //storage url
             default: "https://cdn.pixabay.com/photo/2015/10/05/22/37/blank-profile-picture-973460_1280.png"
         },
+        avatarAssetId: {
+            type: String, //storage provider id, used to delete the old avatar
+        },
         coverImage: {
             type: String,
         },
+        coverImageAssetId: {
+            type: String,
+        },
         password: {
             type: String,
             required: [true,"password is required"],
         },
-        refreshToken: {
+        role: {
+            type: String,
+            enum: USER_ROLES,
+            default: "user"
+        },
+        // suspended accounts are locked out until suspendedUntil, banned ones for good
+        status: {
+            type: String,
+            enum: ACCOUNT_STATUSES,
+            default: "active"
+        },
+        suspendedUntil: {
+            type: Date,
+        },
+        statusReason: {
             type: String,
         },
-        watchHistory: [
-            {
-                type: Schema.Types.ObjectId,
-                ref: "Video"
-            }
-        ]
+        // set when the user deletes their account, it can be restored until purgeAt
+        deletedAt: {
+            type: Date,
+            default: null
+        },
+        purgeAt: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        // history entries live in the WatchHistory collection, this only stops new ones being written
+        watchHistoryPaused: {
+            type: Boolean,
+            default: false
+        },
+        // one on/off switch per notification type, everything is on by default
+        notificationPreferences: Object.fromEntries(
+            NOTIFICATION_TYPES.map((type) => [type, { type: Boolean, default: true }])
+        )
     },
     {
         timestamps: true
     }
 )
 
+// Channel search matches usernames and full names
+userSchema.index(
+    { username: "text", fullName: "text" },
+    { weights: { username: 3, fullName: 1 }, name: "user_text_search" }
+)
+
+userSchema.plugin(mongooseAggregatePaginate)
+
 userSchema.pre("save", async function (next) {
     if (!this.isModified("password")) return next()
     this.password = await bcrypt.hash(this.password, 10)
@@ -62,10 +116,11 @@ userSchema.methods.isPasswordCorrect = async function (password) {
     return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function () {
+userSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
             email: this.email,
             username: this.username,
             fullname: this.fullname
@@ -77,10 +132,12 @@ userSchema.methods.generateAccessToken = function () {
     )
 }
 
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId, tokenId) {
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
+            jti: tokenId
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -0,0 +1,47 @@
+import mongoose, { Schema } from "mongoose";
+
+export const TOKEN_PURPOSES = ['email-verification', 'password-reset']
+
+// Records the signed tokens mailed to users so each one can only be used once
+const verificationTokenSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        purpose: {
+            type: String,
+            enum: TOKEN_PURPOSES,
+            required: true
+        },
+        // jwt id of the mailed token
+        jti: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        // address being verified, so a token can't confirm an email the user changed afterwards
+        email: {
+            type: String,
+            lowercase: true,
+            trim: true
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        },
+        usedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const VerificationToken = mongoose.model('VerificationToken', verificationTokenSchema)
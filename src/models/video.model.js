@@ -16,12 +16,32 @@ const videoSchema = new Schema(
             required: true,
             unique: true
         },
+        videofileAssetId: {
+            type: String, //storage provider id, used to delete the file
+        },
         thumbnail: {
             type: String,
         },
+        thumbnailAssetId: {
+            type: String,
+        },
+        // read from the file itself when it is uploaded, see utils/mediaProbe.js
         duration: {
+            type: Number, //seconds
+            required: true,
+            min: 0
+        },
+        width: {
+            type: Number,
+        },
+        height: {
+            type: Number,
+        },
+        codec: {
             type: String,
-            required: true
+        },
+        fileSize: {
+            type: Number, //bytes
         },
         views: {
             type: Number,
@@ -35,6 +55,15 @@ const videoSchema = new Schema(
             type: Boolean,
             default: false
         },
+        // set when a moderator unpublishes the video, the owner can't publish it again until staff lift it
+        moderationLocked: {
+            type: Boolean,
+            default: false
+        },
+        // unpublished because the owner scheduled their account for deletion, published again on restore
+        hiddenByDeletion: {
+            type: Boolean
+        },
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
@@ -45,6 +74,16 @@ const videoSchema = new Schema(
     }
 )
 
+// duration and resolution filters on the video lists
+videoSchema.index({ isPublished: 1, duration: 1 })
+videoSchema.index({ isPublished: 1, height: 1 })
+
+// Full text search over titles and descriptions, a title match counts more
+videoSchema.index(
+    { title: "text", description: "text" },
+    { weights: { title: 5, description: 1 }, name: "video_text_search" }
+)
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
 export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
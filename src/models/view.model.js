@@ -0,0 +1,33 @@
+import mongoose, { Schema } from "mongoose";
+
+// One document per recorded view, so views can be bucketed over time.
+// Video.views stays as the running total.
+const viewSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: 'Video',
+            required: true
+        },
+        // the owner of the video, kept here so channel analytics don't need a join
+        channel: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        viewer: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+viewSchema.index({ channel: 1, createdAt: 1 })
+viewSchema.index({ video: 1, createdAt: 1 })
+// finds a viewer's views, e.g. to anonymize them when the account is purged
+viewSchema.index({ viewer: 1, video: 1, createdAt: -1 })
+
+export const View = mongoose.model('View', viewSchema)
@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// One entry per user and video, moved to the top every time the video is watched again
+const watchHistorySchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: 'Video',
+            required: true
+        },
+        watchedAt: {
+            type: Date,
+            default: Date.now
+        },
+        // resume position in seconds
+        position: {
+            type: Number,
+            min: 0,
+            default: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true })
+watchHistorySchema.index({ user: 1, watchedAt: -1 })
+
+watchHistorySchema.plugin(mongooseAggregatePaginate)
+
+export const WatchHistory = mongoose.model('WatchHistory', watchHistorySchema)
@@ -0,0 +1,44 @@
+import { Router } from "express";
+import {
+    listUsers,
+    updateUserStatus,
+    updateUserRole,
+    unpublishVideo,
+    unlockVideo,
+    deleteAnyVideo,
+    deleteAnyComment,
+    deleteAnyTweet,
+    getModerationLogs
+} from '../controllers/admin.controller.js'
+import { VerifyJWT, authorizeRoles } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    listUsersSchema,
+    updateUserStatusSchema,
+    updateUserRoleSchema,
+    moderateVideoSchema,
+    moderateCommentSchema,
+    moderateTweetSchema,
+    moderationLogsSchema
+} from "../validators/admin.validator.js";
+
+const router = Router();
+
+//staff only, role changes are further limited to admins below
+router.use(VerifyJWT, authorizeRoles("moderator", "admin"))
+
+router.route("/users").get(validate(listUsersSchema), listUsers)
+router.route("/users/:userId/status").patch(validate(updateUserStatusSchema), updateUserStatus)
+router.route("/users/:userId/role").patch(authorizeRoles("admin"), validate(updateUserRoleSchema), updateUserRole)
+
+router.route("/videos/:videoId/unpublish").patch(validate(moderateVideoSchema), unpublishVideo)
+router.route("/videos/:videoId/unlock").patch(validate(moderateVideoSchema), unlockVideo)
+router.route("/videos/:videoId").delete(validate(moderateVideoSchema), deleteAnyVideo)
+router.route("/comments/:commentId").delete(validate(moderateCommentSchema), deleteAnyComment)
+router.route("/tweets/:tweetId").delete(validate(moderateTweetSchema), deleteAnyTweet)
+
+router.route("/moderation-logs").get(validate(moderationLogsSchema), getModerationLogs)
+
+
+
+export default router
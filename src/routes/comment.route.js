@@ -0,0 +1,36 @@
+import { Router } from "express";
+import {
+    getVideoComments,
+    getCommentReplies,
+    addComment,
+    updateComment,
+    deleteComment
+} from '../controllers/comment.controller.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    getVideoCommentsSchema,
+    addCommentSchema,
+    getCommentRepliesSchema,
+    updateCommentSchema,
+    commentIdSchema
+} from "../validators/comment.validator.js";
+
+const router = Router();
+
+//every comment route needs a logged in user
+router.use(VerifyJWT)
+
+router.route("/:videoId")
+    .get(validate(getVideoCommentsSchema), getVideoComments)
+    .post(validate(addCommentSchema), addComment)
+
+router.route("/c/:commentId")
+    .patch(validate(updateCommentSchema), updateComment)
+    .delete(validate(commentIdSchema), deleteComment)
+
+router.route("/c/:commentId/replies").get(validate(getCommentRepliesSchema), getCommentReplies)
+
+
+
+export default router
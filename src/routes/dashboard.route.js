@@ -0,0 +1,25 @@
+import { Router } from "express";
+import {
+    getChannelStats,
+    getChannelVideos,
+    getChannelSeries
+} from '../controllers/dashboard.controller.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    channelVideosSchema,
+    channelSeriesSchema
+} from "../validators/dashboard.validator.js";
+
+const router = Router();
+
+//the dashboard always describes the logged in user's own channel
+router.use(VerifyJWT)
+
+router.route("/stats").get(getChannelStats)
+router.route("/videos").get(validate(channelVideosSchema), getChannelVideos)
+router.route("/series").get(validate(channelSeriesSchema), getChannelSeries)
+
+
+
+export default router
@@ -0,0 +1,24 @@
+import { Router } from "express";
+import {
+    requestExport,
+    getExports,
+    getExportStatus,
+    downloadExport
+} from '../controllers/dataExport.controller.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { exportIdSchema, downloadExportSchema } from "../validators/dataExport.validator.js";
+
+const router = Router();
+
+//the download link is signed, so it works without a login (e.g. opened straight in a browser)
+router.route("/:exportId/download").get(validate(downloadExportSchema), downloadExport)
+
+router.route("/")
+    .get(VerifyJWT, getExports)
+    .post(VerifyJWT, requestExport)
+router.route("/:exportId").get(VerifyJWT, validate(exportIdSchema), getExportStatus)
+
+
+
+export default router
@@ -0,0 +1,18 @@
+import express, { Router } from "express";
+import getSwaggerUiPath from "swagger-ui-dist/absolute-path.js";
+import {
+    getOpenApiSpec,
+    getDocsPage
+} from '../controllers/docs.controller.js'
+
+const router = Router();
+
+//the api docs are public
+router.route("/").get(getDocsPage)
+router.route("/openapi.json").get(getOpenApiSpec)
+//scripts and styles of the docs page, straight from the installed swagger-ui-dist
+router.use("/assets", express.static(getSwaggerUiPath(), { index: false }))
+
+
+
+export default router
@@ -0,0 +1,16 @@
+import { Router } from "express";
+import { getFeed } from '../controllers/feed.controller.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { feedSchema } from "../validators/feed.validator.js";
+
+const router = Router();
+
+//every feed route needs a logged in user
+router.use(VerifyJWT)
+
+router.route("/").get(validate(feedSchema), getFeed)
+
+
+
+export default router
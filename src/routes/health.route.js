@@ -0,0 +1,15 @@
+import { Router } from "express";
+import {
+    getLiveness,
+    getReadiness
+} from '../controllers/health.controller.js'
+
+const router = Router();
+
+//probes are public and outside /api/v1, so they aren't rate limited
+router.route("/live").get(getLiveness)
+router.route("/ready").get(getReadiness)
+
+
+
+export default router
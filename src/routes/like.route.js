@@ -0,0 +1,29 @@
+import { Router } from "express";
+import {
+    toggleVideoLike,
+    toggleCommentLike,
+    toggleTweetLike,
+    getLikedVideos
+} from '../controllers/like.controller.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    toggleVideoLikeSchema,
+    toggleCommentLikeSchema,
+    toggleTweetLikeSchema,
+    getLikedVideosSchema
+} from "../validators/like.validator.js";
+
+const router = Router();
+
+//every like route needs a logged in user
+router.use(VerifyJWT)
+
+router.route("/toggle/v/:videoId").post(validate(toggleVideoLikeSchema), toggleVideoLike)
+router.route("/toggle/c/:commentId").post(validate(toggleCommentLikeSchema), toggleCommentLike)
+router.route("/toggle/t/:tweetId").post(validate(toggleTweetLikeSchema), toggleTweetLike)
+router.route("/videos").get(validate(getLikedVideosSchema), getLikedVideos)
+
+
+
+export default router
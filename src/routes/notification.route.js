@@ -0,0 +1,36 @@
+import { Router } from "express";
+import {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    streamNotifications
+} from '../controllers/notification.controller.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    getNotificationsSchema,
+    notificationIdSchema,
+    updateNotificationPreferencesSchema
+} from "../validators/notification.validator.js";
+
+const router = Router();
+
+//every notification route needs a logged in user
+router.use(VerifyJWT)
+
+router.route("/").get(validate(getNotificationsSchema), getNotifications)
+router.route("/unread-count").get(getUnreadCount)
+router.route("/read-all").patch(markAllNotificationsRead)
+//EventSource sends the auth cookies when created with { withCredentials: true }
+router.route("/stream").get(streamNotifications)
+router.route("/preferences")
+    .get(getNotificationPreferences)
+    .patch(validate(updateNotificationPreferencesSchema), updateNotificationPreferences)
+router.route("/:notificationId/read").patch(validate(notificationIdSchema), markNotificationRead)
+
+
+
+export default router
@@ -0,0 +1,49 @@
+import { Router } from "express";
+import {
+    createPlaylist,
+    getUserPlaylists,
+    getPlaylistById,
+    updatePlaylist,
+    deletePlaylist,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    moveVideoInPlaylist,
+    addCollaborator,
+    removeCollaborator
+} from '../controllers/playlist.controller.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    createPlaylistSchema,
+    getUserPlaylistsSchema,
+    playlistIdSchema,
+    updatePlaylistSchema,
+    playlistVideoSchema,
+    moveVideoSchema,
+    addCollaboratorSchema,
+    removeCollaboratorSchema
+} from "../validators/playlist.validator.js";
+
+const router = Router();
+
+//every playlist route needs a logged in user
+router.use(VerifyJWT)
+
+router.route("/").post(validate(createPlaylistSchema), createPlaylist)
+router.route("/user/:userId").get(validate(getUserPlaylistsSchema), getUserPlaylists)
+
+router.route("/:playlistId")
+    .get(validate(playlistIdSchema), getPlaylistById)
+    .patch(validate(updatePlaylistSchema), updatePlaylist)
+    .delete(validate(playlistIdSchema), deletePlaylist)
+
+router.route("/add/:videoId/:playlistId").patch(validate(playlistVideoSchema), addVideoToPlaylist)
+router.route("/remove/:videoId/:playlistId").patch(validate(playlistVideoSchema), removeVideoFromPlaylist)
+router.route("/move/:videoId/:playlistId").patch(validate(moveVideoSchema), moveVideoInPlaylist)
+
+router.route("/:playlistId/collaborators").post(validate(addCollaboratorSchema), addCollaborator)
+router.route("/:playlistId/collaborators/:userId").delete(validate(removeCollaboratorSchema), removeCollaborator)
+
+
+
+export default router
@@ -0,0 +1,20 @@
+import { Router } from "express";
+import {
+    search,
+    suggestUsernames
+} from '../controllers/search.controller.js'
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    searchSchema,
+    suggestionsSchema
+} from "../validators/search.validator.js";
+
+const router = Router();
+
+//search is public, it only ever returns published videos and public profiles
+router.route("/").get(validate(searchSchema), search)
+router.route("/suggestions").get(validate(suggestionsSchema), suggestUsernames)
+
+
+
+export default router
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+    toggleSubscription,
+    getUserChannelSubscribers,
+    getSubscribedChannels
+} from '../controllers/subscription.controller.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    toggleSubscriptionSchema,
+    channelSubscribersSchema,
+    subscribedChannelsSchema
+} from "../validators/subscription.validator.js";
+
+const router = Router();
+
+//every subscription route needs a logged in user
+router.use(VerifyJWT)
+
+router.route("/c/:channelId")
+    .get(validate(channelSubscribersSchema), getUserChannelSubscribers)
+    .post(validate(toggleSubscriptionSchema), toggleSubscription)
+
+router.route("/u/:subscriberId").get(validate(subscribedChannelsSchema), getSubscribedChannels)
+
+
+
+export default router
@@ -0,0 +1,34 @@
+import { Router } from "express";
+import {
+    createTweet,
+    getUserTweets,
+    getCommunityFeed,
+    updateTweet,
+    deleteTweet
+} from '../controllers/tweet.controller.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    createTweetSchema,
+    getUserTweetsSchema,
+    communityFeedSchema,
+    updateTweetSchema,
+    tweetIdSchema
+} from "../validators/tweet.validator.js";
+
+const router = Router();
+
+//every tweet route needs a logged in user
+router.use(VerifyJWT)
+
+router.route("/").post(validate(createTweetSchema), createTweet)
+router.route("/feed").get(validate(communityFeedSchema), getCommunityFeed)
+router.route("/user/:userId").get(validate(getUserTweetsSchema), getUserTweets)
+
+router.route("/:tweetId")
+    .patch(validate(updateTweetSchema), updateTweet)
+    .delete(validate(tweetIdSchema), deleteTweet)
+
+
+
+export default router
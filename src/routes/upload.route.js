@@ -0,0 +1,35 @@
+import express, { Router } from "express";
+import {
+    initiateUpload,
+    getUploadStatus,
+    uploadChunk,
+    completeUpload,
+    abortUpload
+} from '../controllers/upload.controller.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    initiateUploadSchema,
+    uploadIdSchema,
+    uploadChunkSchema
+} from "../validators/upload.validator.js";
+import { MAX_CHUNK_SIZE } from "../utils/uploadSessions.js";
+
+const router = Router();
+
+//every upload route needs a logged in user
+router.use(VerifyJWT)
+
+//chunks arrive as raw bytes, whatever content type the client sends
+const chunkBody = express.raw({ type: () => true, limit: MAX_CHUNK_SIZE })
+
+router.route("/").post(validate(initiateUploadSchema), initiateUpload)
+router.route("/:uploadId")
+    .get(validate(uploadIdSchema), getUploadStatus)
+    .delete(validate(uploadIdSchema), abortUpload)
+router.route("/:uploadId/chunks/:index").put(validate(uploadChunkSchema), chunkBody, uploadChunk)
+router.route("/:uploadId/complete").post(validate(uploadIdSchema), completeUpload)
+
+
+
+export default router
@@ -10,14 +10,65 @@ import {
     updateUserAvatar,
     updateUserCoverImage,
     getUserChannelprofile,
-    getWatchHistory
+    getWatchHistory,
+    removeWatchHistoryEntry,
+    clearWatchHistory,
+    setWatchHistoryPaused,
+    deleteAccount,
+    restoreAccount
 } from '../controllers/user.controller.js'
+import {
+    getActiveSessions,
+    revokeSession,
+    logOutAllDevices
+} from '../controllers/session.controller.js'
+import {
+    requestEmailVerification,
+    verifyEmail,
+    forgotPassword,
+    resetPassword
+} from '../controllers/auth.controller.js'
 import { upload } from '../middlewares/multer.middleware.js'
 import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { rateLimit, accountKey, userKey } from "../middlewares/rateLimit.middleware.js";
+import {
+    registerUserSchema,
+    loginUserSchema,
+    refreshAccessTokenSchema,
+    changePasswordSchema,
+    updateAccountDetailsSchema,
+    updateAvatarSchema,
+    updateCoverImageSchema,
+    channelProfileSchema,
+    sessionIdSchema,
+    verifyEmailSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    watchHistorySchema,
+    watchHistoryEntrySchema,
+    pauseWatchHistorySchema,
+    deleteAccountSchema,
+    restoreAccountSchema
+} from "../validators/user.validator.js";
 
 const router = Router();
 
+const MINUTE = 60 * 1000
+
+//per-ip limits run first, per-account limits run after validate() so they read the sanitized body
+const registerLimit = rateLimit({ name: "register", windowMs: 60 * MINUTE, max: 5 })
+const loginIpLimit = rateLimit({ name: "login-ip", windowMs: 15 * MINUTE, max: 20 })
+const loginAccountLimit = rateLimit({ name: "login-account", windowMs: 15 * MINUTE, max: 10, keyGenerator: accountKey })
+const refreshLimit = rateLimit({ name: "refresh", windowMs: 15 * MINUTE, max: 60 })
+const changePasswordLimit = rateLimit({ name: "change-password", windowMs: 15 * MINUTE, max: 5, keyGenerator: userKey })
+const forgotPasswordIpLimit = rateLimit({ name: "forgot-password-ip", windowMs: 15 * MINUTE, max: 5 })
+const forgotPasswordAccountLimit = rateLimit({ name: "forgot-password-account", windowMs: 60 * MINUTE, max: 3, keyGenerator: accountKey })
+const deleteAccountLimit = rateLimit({ name: "delete-account", windowMs: 15 * MINUTE, max: 5, keyGenerator: userKey })
+const resetPasswordLimit = rateLimit({ name: "reset-password", windowMs: 15 * MINUTE, max: 10 })
+
 router.route('/register').post(
+    registerLimit,
     upload.fields([
         {
             name: 'avatar',
@@ -28,20 +79,41 @@ router.route('/register').post(
             maxCount: 1
         }
     ]),
+    validate(registerUserSchema),
     registerUser
 )
 
 //secured routes
-router.route("/login").post(loginUser)
+router.route("/login").post(loginIpLimit, validate(loginUserSchema), loginAccountLimit, loginUser)
 router.route("/logout").post(VerifyJWT, logOutUser)
-router.route("/refresh-token").post(VerifyJWT, refreshAccessToken)
-router.route("/change-password").post(VerifyJWT, changeCurrentpassword)
-router.route("/").get(VerifyJWT, getCurrentUser)
-router.route("/update-account-details").patch(VerifyJWT, UpdateAccountDetails)
-router.route("/update-avatar").patch(VerifyJWT, upload.single('avatar'), updateUserAvatar)
-router.route("/update-cover-image").patch(VerifyJWT, upload.single('coverImage'), updateUserCoverImage)
-router.route("/get-channel-profile/:username").get(VerifyJWT, getUserChannelprofile)
-router.route("/get-watch-history").get(VerifyJWT, getWatchHistory)
+//the access token may already be expired here, the refresh token itself is the credential
+router.route("/refresh-token").post(refreshLimit, validate(refreshAccessTokenSchema), refreshAccessToken)
+router.route("/change-password").post(VerifyJWT, changePasswordLimit, validate(changePasswordSchema), changeCurrentpassword)
+router.route("/")
+    .get(VerifyJWT, getCurrentUser)
+    .delete(VerifyJWT, deleteAccountLimit, validate(deleteAccountSchema), deleteAccount)
+router.route("/restore-account").post(loginIpLimit, validate(restoreAccountSchema), loginAccountLimit, restoreAccount)
+router.route("/update-account-details").patch(VerifyJWT, validate(updateAccountDetailsSchema), UpdateAccountDetails)
+router.route("/update-avatar").patch(VerifyJWT, upload.single('avatar'), validate(updateAvatarSchema), updateUserAvatar)
+router.route("/update-cover-image").patch(VerifyJWT, upload.single('coverImage'), validate(updateCoverImageSchema), updateUserCoverImage)
+router.route("/get-channel-profile/:username").get(VerifyJWT, validate(channelProfileSchema), getUserChannelprofile)
+router.route("/get-watch-history").get(VerifyJWT, validate(watchHistorySchema), getWatchHistory)
+
+//watch history management, views themselves are recorded with POST /videos/:videoId/views
+router.route("/watch-history").delete(VerifyJWT, clearWatchHistory)
+router.route("/watch-history/pause").patch(VerifyJWT, validate(pauseWatchHistorySchema), setWatchHistoryPaused)
+router.route("/watch-history/:videoId").delete(VerifyJWT, validate(watchHistoryEntrySchema), removeWatchHistoryEntry)
+
+//device sessions
+router.route("/sessions").get(VerifyJWT, getActiveSessions)
+router.route("/sessions/:sessionId").delete(VerifyJWT, validate(sessionIdSchema), revokeSession)
+router.route("/logout-all").post(VerifyJWT, logOutAllDevices)
+
+//email verification and password reset
+router.route("/verify-email/request").post(VerifyJWT, requestEmailVerification)
+router.route("/verify-email").post(validate(verifyEmailSchema), verifyEmail)
+router.route("/forgot-password").post(forgotPasswordIpLimit, validate(forgotPasswordSchema), forgotPasswordAccountLimit, forgotPassword)
+router.route("/reset-password").post(resetPasswordLimit, validate(resetPasswordSchema), resetPassword)
 
 
 
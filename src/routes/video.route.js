@@ -0,0 +1,55 @@
+import { Router } from "express";
+import {
+    getAllVideos,
+    publishAVideo,
+    getVideoById,
+    updateVideo,
+    deleteVideo,
+    togglePublishStatus,
+    recordView
+} from '../controllers/video.controller.js'
+import { upload } from '../middlewares/multer.middleware.js'
+import { VerifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    getAllVideosSchema,
+    publishVideoSchema,
+    videoIdSchema,
+    updateVideoSchema,
+    recordViewSchema
+} from "../validators/video.validator.js";
+
+const router = Router();
+
+//every video route needs a logged in user
+router.use(VerifyJWT)
+
+router.route("/")
+    .get(validate(getAllVideosSchema), getAllVideos)
+    .post(
+        upload.fields([
+            {
+                name: 'videoFile',
+                maxCount: 1
+            },
+            {
+                name: 'thumbnail',
+                maxCount: 1
+            }
+        ]),
+        validate(publishVideoSchema),
+        publishAVideo
+    )
+
+router.route("/:videoId")
+    .get(validate(videoIdSchema), getVideoById)
+    .patch(upload.single('thumbnail'), validate(updateVideoSchema), updateVideo)
+    .delete(validate(videoIdSchema), deleteVideo)
+
+router.route("/:videoId/views").post(validate(recordViewSchema), recordView)
+
+router.route("/toggle/publish/:videoId").patch(validate(videoIdSchema), togglePublishStatus)
+
+
+
+export default router
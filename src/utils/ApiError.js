@@ -9,17 +9,20 @@ class ApiError extends Error {
      * @param {string} [message="Something went wrong"] - Error message
      * @param {Array} [errors=[]] - Array of additional error details
      * @param {string} [stack=""] - Error stack trace
+     * @param {string} [code] - Machine-readable error code (see ERROR_CODES), derived from the status when omitted
      */
     constructor(
         statusCode,
         message = "Something went wrong",
         errors = [],
-        stack = ""
+        stack = "",
+        code
     ) {
         super(message);
         this.statusCode = statusCode;
         this.message = message;
         this.errors = errors;
+        this.code = code;
 
         if (stack) {
             this.stack = stack;
@@ -29,4 +32,4 @@ class ApiError extends Error {
     }
 }
 
-export { ApiError }
\ No newline at end of file
+export { ApiError }
@@ -0,0 +1,185 @@
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Like } from "../models/like.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { Playlist } from "../models/playlist.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { View } from "../models/view.model.js"
+import { LastView } from "../models/lastView.model.js"
+import { WatchHistory } from "../models/watchHistory.model.js"
+import { Notification } from "../models/notification.model.js"
+import { Session } from "../models/session.model.js"
+import { VerificationToken } from "../models/verificationToken.model.js"
+import { UploadSession } from "../models/uploadSession.model.js"
+import { ModerationLog } from "../models/moderationLog.model.js"
+import { removeVideo, removeComment, removeTweet } from "./cascade.js"
+import { discardUploadSession } from "./uploadSessions.js"
+import { removeUserExports } from "./dataExport.js"
+import { deleteFile } from "./storage.js"
+import { logger } from "./logger.js"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+// read lazily, on first use rather than at import
+const getDeletionGraceMs = () => (Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) * DAY_MS
+
+let purging = null
+let purgeTimer = null
+
+/**
+ * Unpublishes the user's videos while the account waits for its purge. Comments, tweets and the
+ * channel are hidden by the public queries, which leave out users with deletedAt set.
+ */
+const hideAccountContent = async (userId) => {
+    await Video.updateMany(
+        { owner: userId, isPublished: true },
+        { $set: { isPublished: false, hiddenByDeletion: true } }
+    )
+}
+
+/**
+ * Publishes again what hideAccountContent took down, except videos a moderator unpublished meanwhile.
+ */
+const restoreAccountContent = async (userId) => {
+    await Video.updateMany(
+        { owner: userId, hiddenByDeletion: true, moderationLocked: { $ne: true } },
+        { $set: { isPublished: true } }
+    )
+    await Video.updateMany(
+        { owner: userId, hiddenByDeletion: true },
+        { $unset: { hiddenByDeletion: 1 } }
+    )
+}
+
+/**
+ * Removes a user and everything they own. Content other people made on it goes with it
+ * (comments on their videos, replies to their comments), while their views are only anonymized
+ * so other channels keep their analytics. Moderation logs are kept as an audit trail
+ * without the content snapshots.
+ */
+const purgeAccount = async (user) => {
+    const userId = user._id
+
+    for (const video of await Video.find({ owner: userId })) {
+        await removeVideo(video)
+    }
+
+    for (const tweet of await Tweet.find({ owner: userId })) {
+        await removeTweet(tweet)
+    }
+
+    // a comment may already be gone as a reply of an earlier one, removeComment copes with that
+    for (const comment of await Comment.find({ owner: userId })) {
+        await removeComment(comment)
+    }
+
+    // one like at a time, like toggleLike: a video loses a like only when this run deleted it,
+    // so a purge that is run again never takes the same like off twice
+    for (const like of await Like.find({ likedBy: userId }).select("_id video")) {
+        const removed = await Like.findOneAndDelete({ _id: like._id })
+
+        if (removed?.video) {
+            await Video.updateOne(
+                { _id: removed.video, likes: { $gt: 0 } },
+                { $inc: { likes: -1 } }
+            )
+        }
+    }
+
+    await Playlist.deleteMany({ owner: userId })
+    await Playlist.updateMany(
+        { collaborators: userId },
+        { $pull: { collaborators: userId } }
+    )
+    await Subscription.deleteMany({
+        $or: [
+            { subscriber: userId },
+            { channel: userId }
+        ]
+    })
+    await View.updateMany({ viewer: userId }, { $unset: { viewer: 1 } })
+    await LastView.deleteMany({ viewer: userId })
+    await WatchHistory.deleteMany({ user: userId })
+    await Notification.deleteMany({
+        $or: [
+            { recipient: userId },
+            { actor: userId }
+        ]
+    })
+
+    for (const session of await UploadSession.find({ owner: userId })) {
+        await discardUploadSession(session)
+    }
+
+    await Session.deleteMany({ user: userId })
+    await VerificationToken.deleteMany({ user: userId })
+    await removeUserExports(userId)
+    await ModerationLog.updateMany({ targetUser: userId }, { $unset: { details: 1 } })
+
+    await deleteFile(user.avatarAssetId, { resourceType: "image" })
+    await deleteFile(user.coverImageAssetId, { resourceType: "image" })
+
+    await User.deleteOne({ _id: userId })
+}
+
+/**
+ * Purges every account whose grace period is over. Concurrent callers share the same run.
+ * An account that fails is logged and retried on the next run, the others go ahead.
+ * @returns {Promise<number>} number of purged accounts
+ */
+const purgeDeletedAccounts = () => {
+    if (!purging) {
+        purging = (async () => {
+            const due = await User.find({ purgeAt: { $lte: new Date() } })
+            let purged = 0
+
+            for (const user of due) {
+                try {
+                    await purgeAccount(user)
+                    purged++
+                } catch (error) {
+                    logger.error("Purging account failed", { userId: user._id, error })
+                }
+            }
+
+            return purged
+        })().finally(() => {
+            purging = null
+        })
+    }
+
+    return purging
+}
+
+/**
+ * Purges accounts past their grace period once an hour.
+ * @returns {() => void} stops the purge timer
+ */
+const startAccountPurge = () => {
+    const run = () => purgeDeletedAccounts().catch((error) => {
+        logger.error("Account purge failed", { error })
+    })
+
+    run()
+    purgeTimer = setInterval(run, PURGE_INTERVAL_MS)
+    purgeTimer.unref?.()
+
+    return stopAccountPurge
+}
+
+const stopAccountPurge = () => {
+    clearInterval(purgeTimer)
+    purgeTimer = null
+}
+
+export {
+    getDeletionGraceMs,
+    hideAccountContent,
+    restoreAccountContent,
+    purgeAccount,
+    purgeDeletedAccounts,
+    startAccountPurge,
+    stopAccountPurge
+}
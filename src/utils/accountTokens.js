@@ -0,0 +1,114 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import { VerificationToken } from "../models/verificationToken.model.js"
+import { ApiError } from "./ApiError.js"
+import { sendMail } from "./mailer.js"
+import { ERROR_CODES } from "../constants.js"
+
+const TOKEN_LIFETIME = {
+    "email-verification": 24 * 60 * 60, // 1 day
+    "password-reset": 30 * 60 // 30 minutes
+}
+
+const getSecret = () => process.env.ACCOUNT_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET
+
+const buildLink = (route, token) => {
+    const baseUrl = (process.env.CLIENT_URL || process.env.CORS_ORIGIN || "").replace(/\/$/, "")
+    return `${baseUrl}/${route}?token=${encodeURIComponent(token)}`
+}
+
+/**
+ * Signs a single-use token for `purpose` and records it, older unused tokens of the same purpose are invalidated.
+ * @param {Object} user
+ * @param {"email-verification" | "password-reset"} purpose
+ * @returns {Promise<string>}
+ */
+const issueAccountToken = async (user, purpose) => {
+    const jti = crypto.randomUUID()
+    const expiresIn = TOKEN_LIFETIME[purpose]
+
+    await VerificationToken.updateMany(
+        { user: user._id, purpose, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    )
+
+    await VerificationToken.create({
+        user: user._id,
+        purpose,
+        jti,
+        email: user.email,
+        expiresAt: new Date(Date.now() + expiresIn * 1000)
+    })
+
+    return jwt.sign(
+        { _id: user._id, purpose },
+        getSecret(),
+        { expiresIn, jwtid: jti }
+    )
+}
+
+/**
+ * Verifies the signature and marks the token used. Throws if it is expired, used or meant for something else.
+ * @returns {Promise<Object>} the stored token record
+ */
+const consumeAccountToken = async (token, purpose) => {
+    let decoded
+    try {
+        decoded = jwt.verify(token, getSecret())
+    } catch (error) {
+        const expired = error instanceof jwt.TokenExpiredError
+        throw new ApiError(
+            400,
+            expired ? "TOKEN HAS EXPIRED" : "INVALID TOKEN",
+            [],
+            "",
+            expired ? ERROR_CODES.AUTH_TOKEN_EXPIRED : ERROR_CODES.AUTH_TOKEN_INVALID
+        )
+    }
+
+    if (decoded.purpose !== purpose) {
+        throw new ApiError(400, "INVALID TOKEN", [], "", ERROR_CODES.AUTH_TOKEN_INVALID)
+    }
+
+    // Setting usedAt in the same update makes the token single-use even under concurrent requests
+    const record = await VerificationToken.findOneAndUpdate(
+        { jti: decoded.jti, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    )
+
+    if (!record) {
+        throw new ApiError(400, "TOKEN HAS ALREADY BEEN USED OR REPLACED", [], "", ERROR_CODES.AUTH_TOKEN_INVALID)
+    }
+
+    return record
+}
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueAccountToken(user, "email-verification")
+    const link = buildLink("verify-email", token)
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email address",
+        text: `Hi ${user.fullName},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+    })
+}
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueAccountToken(user, "password-reset")
+    const link = buildLink("reset-password", token)
+
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.fullName},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 30 minutes. If you didn't ask for this, you can ignore this email.`
+    })
+}
+
+export {
+    issueAccountToken,
+    consumeAccountToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+}
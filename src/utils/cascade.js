@@ -0,0 +1,57 @@
+import { Video } from "../models/video.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Like } from "../models/like.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { Playlist } from "../models/playlist.model.js"
+import { View } from "../models/view.model.js"
+import { WatchHistory } from "../models/watchHistory.model.js"
+import { Notification } from "../models/notification.model.js"
+import { deleteFile } from "./storage.js"
+
+/*
+ * Deletes that also clean up everything pointing at the deleted document.
+ * Shared by the owner routes and the admin moderation routes.
+ */
+
+// Deleting a top-level comment takes its replies (and their likes) with it
+const removeComment = async (comment) => {
+    const replyIds = await Comment.find({ parentComment: comment._id }).distinct("_id")
+    const commentIds = [comment._id, ...replyIds]
+
+    await Comment.deleteMany({ _id: { $in: commentIds } })
+    await Like.deleteMany({ comment: { $in: commentIds } })
+    await Notification.deleteMany({ comment: { $in: commentIds } })
+}
+
+const removeTweet = async (tweet) => {
+    await Tweet.findByIdAndDelete(tweet._id)
+    await Like.deleteMany({ tweet: tweet._id })
+    await Notification.deleteMany({ tweet: tweet._id })
+}
+
+// Removes the video, its comments, every like pointing at the video or its comments,
+// its playlist entries, its view events, watch history entries, notifications and the stored media
+const removeVideo = async (video) => {
+    await Video.findByIdAndDelete(video._id)
+
+    const commentIds = await Comment.find({ video: video._id }).distinct("_id")
+    await Comment.deleteMany({ video: video._id })
+    await Like.deleteMany({
+        $or: [
+            { video: video._id },
+            { comment: { $in: commentIds } }
+        ]
+    })
+    await Playlist.updateMany(
+        { videos: video._id },
+        { $pull: { videos: video._id } }
+    )
+    await View.deleteMany({ video: video._id })
+    await WatchHistory.deleteMany({ video: video._id })
+    await Notification.deleteMany({ video: video._id })
+
+    await deleteFile(video.videofileAssetId, { resourceType: "video" })
+    await deleteFile(video.thumbnailAssetId, { resourceType: "image" })
+}
+
+export { removeComment, removeTweet, removeVideo }
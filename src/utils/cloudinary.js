@@ -1,56 +1,97 @@
 import { v2 as cloudinary } from 'cloudinary';
 import fs from "fs"
 import { ApiError } from "./ApiError.js"
-import dotenv from 'dotenv'
 
-dotenv.config(
-    {
-        path: '\.env'
-    }
+let configured = false
+
+// Configured on first use so the values from .env are already loaded.
+// CLOUD_NAME / API_KEY / API_SECRET are the names older .env files used.
+const configure = () => {
+    if (configured) return
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME || process.env.CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY || process.env.API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET || process.env.API_SECRET
+    });
+    configured = true
+}
+
+const removeTempFile = (localFilePath) => {
+    if (fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath)
+}
 
-)
+/**
+ * Storage driver that keeps media on Cloudinary.
+ * The asset id is Cloudinary's public_id.
+ */
+const cloudinaryDriver = {
+    name: "cloudinary",
 
-// Configuration
-cloudinary.config({
-    cloud_name: process.env.CLOUD_NAME,
-    api_key: process.env.API_KEY,
-    api_secret: process.env.API_SECRET // Click 'View API Keys' above to copy your API secret
-});
+    async upload(localFilePath, { resourceType = "auto" } = {}) {
+        configure()
+        try {
+            const response = await cloudinary.uploader.upload(localFilePath, {
+                resource_type: resourceType
+            })
+            //file successfully uploaded, the local copy is no longer needed
+            removeTempFile(localFilePath)
+
+            return {
+                url: response.secure_url || response.url,
+                assetId: response.public_id,
+                resourceType: response.resource_type,
+                duration: response.duration,
+                bytes: response.bytes,
+                width: response.width,
+                height: response.height
+            }
+        } catch (error) {
+            removeTempFile(localFilePath)  //remove the locally saved temporary file as the upload operation got failed
+            throw new ApiError(
+                500,
+                "cloudinary error"
+            )
+        }
+    },
+
+    async remove(assetId, { resourceType = "image" } = {}) {
+        configure()
+        try {
+            return await cloudinary.uploader.destroy(assetId, {
+                resource_type: resourceType
+            })
+        } catch (error) {
+            throw new ApiError(
+                500,
+                "cloudinary delete error"
+            )
+        }
+    },
+
+    getPublicUrl(assetId, { resourceType = "image" } = {}) {
+        configure()
+        return cloudinary.url(assetId, {
+            resource_type: resourceType,
+            secure: true
+        })
+    },
 
-const uploadOnCloudinary = async (localFilePath) => {
-    try {
-        if (!localFilePath) return new ApiError(
-            401,
-            "localfilePath not found"
-        )
+    // admin api ping, checks the credentials as well as the connection
+    async checkHealth() {
+        configure()
+        await cloudinary.api.ping()
+    },
 
-        const response = await cloudinary.uploader.upload(localFilePath, {
-            resource_type: 'auto'
+    // cloudinary renders a jpg of any video frame from the url alone
+    getVideoFrameUrl(assetId, seconds) {
+        configure()
+        return cloudinary.url(assetId, {
+            resource_type: "video",
+            format: "jpg",
+            start_offset: seconds,
+            secure: true
         })
-        //file successfully uploaded
-        // console.log('file is uploaded on cloudinary', response.url);
-        fs.unlinkSync(localFilePath) 
-
-        return response;
-
-    } catch (error) {
-        fs.unlinkSync(localFilePath)  //remove the locally saved temporary file as the upload operation got failed
-        throw new ApiError(
-            500,
-            "cloudinary error"
-        )
     }
 }
 
-export { uploadOnCloudinary }
-
-// Upload an image
-// const uploadResult = await cloudinary.uploader
-//     .upload(
-//         'https://res.cloudinary.com/demo/image/upload/getting-started/shoes.jpg', {
-//         public_id: 'shoes',
-//     }
-//     )
-//     .catch((error) => {
-//         console.log(error);
-//     });
\ No newline at end of file
+export { cloudinaryDriver }
@@ -0,0 +1,323 @@
+import fs from "fs"
+import path from "path"
+import jwt from "jsonwebtoken"
+import { DataExport } from "../models/dataExport.model.js"
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Like } from "../models/like.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { Playlist } from "../models/playlist.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { WatchHistory } from "../models/watchHistory.model.js"
+import { ApiError } from "./ApiError.js"
+import { writeZip } from "./zip.js"
+import { logger } from "./logger.js"
+import { ERROR_CODES } from "../constants.js"
+
+const HOUR_MS = 60 * 60 * 1000
+
+// archives stay downloadable this long, every signed link only for DOWNLOAD_LINK_TTL_SECONDS
+const ARCHIVE_RETENTION_MS = 48 * HOUR_MS
+const DOWNLOAD_LINK_TTL_SECONDS = 15 * 60
+// a job stuck in processing this long was cut off by a restart and runs again
+const PROCESSING_TIMEOUT_MS = HOUR_MS
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000
+
+// Kept outside public/ so archives can only be fetched through the signed download route
+const EXPORTS_DIR = "exports"
+
+// download links get their own key and audience, so no other kind of token passes for one
+const DOWNLOAD_TOKEN_AUDIENCE = "data-export"
+
+// read lazily, on first use rather than at import
+const getSecret = () => {
+    if (!process.env.EXPORT_TOKEN_SECRET) {
+        throw new Error("EXPORT_TOKEN_SECRET is not set")
+    }
+    return process.env.EXPORT_TOKEN_SECRET
+}
+
+const getArchivePath = (fileName) => path.join(EXPORTS_DIR, path.basename(fileName))
+
+let processing = null
+let cleanupTimer = null
+
+const toJson = (data) => JSON.stringify(data, null, 2)
+
+/**
+ * Streams a JSON array, pretty printed like toJson, one item at a time so
+ * long histories never have to be loaded whole.
+ * @param {AsyncIterable<Object>} items
+ * @param {string} indent - indentation of the array itself when nested in an object
+ */
+async function* jsonArray(items, indent = "") {
+    let separator = "["
+
+    for await (const item of items) {
+        yield `${separator}\n${indent}  ${toJson(item).replace(/\n/g, `\n${indent}  `)}`
+        separator = ","
+    }
+
+    yield separator === "[" ? "[]" : `\n${indent}]`
+}
+
+async function* mapItems(items, map) {
+    for await (const item of items) yield map(item)
+}
+
+// other people's data isn't part of the export, only links to the user's own files
+async function* mediaItems(user) {
+    yield { type: "avatar", url: user.avatar }
+    if (user.coverImage) yield { type: "coverImage", url: user.coverImage }
+
+    const videos = Video.find({ owner: user._id })
+        .sort({ createdAt: 1 })
+        .select("title videofile thumbnail")
+        .lean()
+        .cursor()
+
+    for await (const video of videos) {
+        yield { type: "video", video: video._id, title: video.title, url: video.videofile }
+        if (video.thumbnail) yield { type: "thumbnail", video: video._id, title: video.title, url: video.thumbnail }
+    }
+}
+
+async function* ownedJson(Model, filter) {
+    yield* jsonArray(Model.find(filter).sort({ createdAt: 1 }).lean().cursor())
+}
+
+async function* watchHistoryJson(userId) {
+    const watchHistory = WatchHistory.find({ user: userId })
+        .sort({ watchedAt: -1 })
+        .populate("video", "title")
+        .lean()
+        .cursor()
+
+    yield* jsonArray(mapItems(watchHistory, ({ video, watchedAt, position }) => ({ video, watchedAt, position })))
+}
+
+async function* subscriptionsJson(userId) {
+    const subscriberCount = await Subscription.countDocuments({ channel: userId })
+    const subscriptions = Subscription.find({ subscriber: userId })
+        .sort({ createdAt: 1 })
+        .populate("channel", "username fullName")
+        .lean()
+        .cursor()
+
+    // subscribers are other people, they are only counted
+    yield `{\n  "subscriberCount": ${subscriberCount},\n  "subscribedTo": `
+    yield* jsonArray(mapItems(subscriptions, ({ channel, createdAt }) => ({ channel, subscribedAt: createdAt })), "  ")
+    yield "\n}"
+}
+
+// Everything stored about the user, one JSON file per kind of data. The entries are
+// generators, so each query only starts once the archive gets to its file.
+const collectUserData = async (userId) => {
+    const user = await User.findById(userId).select("-password").lean()
+
+    if (!user) {
+        throw new Error("user no longer exists")
+    }
+
+    return [
+        { name: "profile.json", data: toJson(user) },
+        { name: "videos.json", data: ownedJson(Video, { owner: userId }) },
+        { name: "comments.json", data: ownedJson(Comment, { owner: userId }) },
+        { name: "likes.json", data: ownedJson(Like, { likedBy: userId }) },
+        { name: "tweets.json", data: ownedJson(Tweet, { owner: userId }) },
+        { name: "playlists.json", data: ownedJson(Playlist, { owner: userId }) },
+        { name: "subscriptions.json", data: subscriptionsJson(userId) },
+        { name: "watch-history.json", data: watchHistoryJson(userId) },
+        { name: "media.json", data: jsonArray(mediaItems(user)) }
+    ]
+}
+
+// Builds the archive of one job, a failure is stored on the job instead of thrown
+const runExport = async (job) => {
+    const fileName = `${job._id}.zip`
+
+    try {
+        const entries = await collectUserData(job.user)
+
+        await fs.promises.mkdir(EXPORTS_DIR, { recursive: true })
+        const fileSize = await writeZip(getArchivePath(fileName), entries)
+
+        await DataExport.updateOne(
+            { _id: job._id },
+            {
+                $set: {
+                    status: "completed",
+                    fileName,
+                    fileSize,
+                    completedAt: new Date(),
+                    expiresAt: new Date(Date.now() + ARCHIVE_RETENTION_MS)
+                }
+            }
+        )
+    } catch (error) {
+        logger.error("Data export failed", { exportId: job._id, error })
+        await fs.promises.rm(getArchivePath(fileName), { force: true })
+        await DataExport.updateOne(
+            { _id: job._id },
+            { $set: { status: "failed", error: "EXPORT FAILED, PLEASE REQUEST A NEW ONE" } }
+        )
+    }
+}
+
+/**
+ * Runs pending jobs one at a time until none are left. Concurrent callers share the same run.
+ */
+const processPendingExports = () => {
+    if (!processing) {
+        processing = (async () => {
+            let job
+
+            // claiming with findOneAndUpdate keeps two instances from building the same archive
+            while ((job = await DataExport.findOneAndUpdate(
+                { status: "pending" },
+                { $set: { status: "processing", startedAt: new Date() } },
+                { sort: { createdAt: 1 }, new: true }
+            ))) {
+                await runExport(job)
+            }
+        })().finally(() => {
+            processing = null
+        })
+    }
+
+    return processing
+}
+
+const kickExports = () => {
+    processPendingExports().catch((error) => {
+        logger.error("Data export processing failed", { error })
+    })
+}
+
+/**
+ * Queues a new export for the user, only one can be pending or processing at a time.
+ */
+const requestDataExport = async (userId) => {
+    const active = await DataExport.exists({ user: userId, status: { $in: ["pending", "processing"] } })
+
+    if (active) {
+        throw new ApiError(409, "AN EXPORT IS ALREADY IN PROGRESS")
+    }
+
+    const job = await DataExport.create({ user: userId })
+
+    // the response doesn't wait for the archive, clients poll the job instead
+    setImmediate(kickExports)
+
+    return job
+}
+
+/**
+ * Signs a short lived download link for a completed export.
+ * @returns {{token: string, expiresAt: Date}}
+ */
+const signDownloadToken = (job) => {
+    const token = jwt.sign(
+        { _id: job._id, user: job.user },
+        getSecret(),
+        { expiresIn: DOWNLOAD_LINK_TTL_SECONDS, audience: DOWNLOAD_TOKEN_AUDIENCE }
+    )
+
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) }
+}
+
+/**
+ * Checks a download token and returns the export it was signed for, with the archive path.
+ * @returns {Promise<{job: Object, filePath: string}>}
+ */
+const resolveDownload = async (exportId, token) => {
+    const secret = getSecret()
+
+    let decoded
+    try {
+        decoded = jwt.verify(token, secret, { audience: DOWNLOAD_TOKEN_AUDIENCE })
+    } catch (error) {
+        const expired = error instanceof jwt.TokenExpiredError
+        throw new ApiError(
+            403,
+            expired ? "DOWNLOAD LINK HAS EXPIRED" : "INVALID DOWNLOAD LINK",
+            [],
+            "",
+            expired ? ERROR_CODES.AUTH_TOKEN_EXPIRED : ERROR_CODES.AUTH_TOKEN_INVALID
+        )
+    }
+
+    if (decoded._id !== String(exportId)) {
+        throw new ApiError(403, "INVALID DOWNLOAD LINK", [], "", ERROR_CODES.AUTH_TOKEN_INVALID)
+    }
+
+    const job = await DataExport.findOne({ _id: exportId, user: decoded.user }).select("+fileName")
+
+    if (!job || job.status !== "completed" || job.expiresAt <= new Date()) {
+        throw new ApiError(410, "EXPORT IS NO LONGER AVAILABLE")
+    }
+
+    return { job, filePath: getArchivePath(job.fileName) }
+}
+
+const removeExports = async (filter) => {
+    const jobs = await DataExport.find(filter).select("+fileName")
+
+    for (const job of jobs) {
+        if (job.fileName) await fs.promises.rm(getArchivePath(job.fileName), { force: true })
+    }
+
+    await DataExport.deleteMany({ _id: { $in: jobs.map((job) => job._id) } })
+}
+
+// Drops every export of a user together with the archives, used when the account is purged
+const removeUserExports = (userId) => removeExports({ user: userId })
+
+const cleanupExports = async () => {
+    await removeExports({
+        $or: [
+            { expiresAt: { $lte: new Date() } },
+            // failed jobs only matter to the user for a while
+            { status: "failed", updatedAt: { $lte: new Date(Date.now() - ARCHIVE_RETENTION_MS) } }
+        ]
+    })
+
+    await DataExport.updateMany(
+        { status: "processing", startedAt: { $lte: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } },
+        { $set: { status: "pending" } }
+    )
+
+    await processPendingExports()
+}
+
+/**
+ * Runs the jobs left pending by a restart, then removes expired archives
+ * and retries stuck jobs periodically.
+ * @returns {() => void} stops the cleanup timer
+ */
+const startDataExports = () => {
+    const run = () => cleanupExports().catch((error) => {
+        logger.error("Data export cleanup failed", { error })
+    })
+
+    run()
+    cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS)
+    cleanupTimer.unref?.()
+
+    return stopDataExports
+}
+
+const stopDataExports = () => {
+    clearInterval(cleanupTimer)
+    cleanupTimer = null
+}
+
+export {
+    requestDataExport,
+    signDownloadToken,
+    resolveDownload,
+    removeUserExports,
+    startDataExports,
+    stopDataExports
+}
@@ -0,0 +1,20 @@
+import { EventEmitter } from "events"
+
+/*
+ * In-process event bus. Controllers emit domain events after their write succeeded,
+ * listeners (notifications for now) react without the request waiting on them.
+ */
+export const EVENTS = {
+    VIDEO_PUBLISHED: 'video.published',
+    COMMENT_CREATED: 'comment.created',
+    LIKE_CREATED: 'like.created',
+    SUBSCRIPTION_CREATED: 'subscription.created',
+    NOTIFICATION_CREATED: 'notification.created',
+    // the process is about to stop, long lived responses (notification streams) should end
+    SERVER_SHUTDOWN: 'server.shutdown'
+}
+
+export const appEvents = new EventEmitter()
+
+// every open notification stream adds a listener
+appEvents.setMaxListeners(0)
@@ -0,0 +1,230 @@
+import { Video } from "../models/video.model.js"
+import { View } from "../models/view.model.js"
+import { Like } from "../models/like.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { WatchHistory } from "../models/watchHistory.model.js"
+import { logger } from "./logger.js"
+
+/*
+ * Feed rankings are computed in the background and kept in memory, so a feed request
+ * only reads the cached scores plus a couple of small per-user lookups.
+ */
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Activity older than this is ignored, newer activity loses half its weight every HALF_LIFE_MS
+const ACTIVITY_WINDOW_MS = 7 * 24 * HOUR_MS
+const HALF_LIFE_MS = 24 * HOUR_MS
+const ACTIVITY_WEIGHTS = { view: 1, like: 3, comment: 5 }
+
+// Only the best candidates are kept, nobody pages this deep into a feed
+const MAX_CANDIDATES = 1000
+
+// "For you" boosts and the recent uploads it mixes in from subscribed channels
+const SUBSCRIBED_BOOST = 3
+const WATCHED_CHANNEL_BOOST = 2
+const RECENT_UPLOAD_WINDOW_MS = 30 * 24 * HOUR_MS
+const MAX_RECENT_UPLOADS = 200
+const WATCHED_CHANNEL_SAMPLE = 200
+const MAX_CACHED_USERS = 1000
+
+// read lazily, on first use rather than at import
+const getRefreshIntervalMs = () => (Number(process.env.FEED_REFRESH_MINUTES) || 10) * 60 * 1000
+
+let trending = { scores: [], computedAt: null }
+let refreshing = null
+let refreshTimer = null
+const forYouCache = new Map()
+
+// exp(-ln2 * age / halfLife), so a score halves every HALF_LIFE_MS
+const decay = (now, dateField) => ({
+    $exp: {
+        $multiply: [-Math.LN2 / HALF_LIFE_MS, { $subtract: [now, dateField] }]
+    }
+})
+
+const decayedActivity = (Model, weight, now) => Model.aggregate([
+    {
+        $match: {
+            video: { $ne: null },
+            createdAt: { $gte: new Date(now.getTime() - ACTIVITY_WINDOW_MS) }
+        }
+    },
+    {
+        $group: {
+            _id: "$video",
+            score: { $sum: { $multiply: [weight, decay(now, "$createdAt")] } }
+        }
+    }
+])
+
+const computeTrendingScores = async () => {
+    const now = new Date()
+
+    const activity = await Promise.all([
+        decayedActivity(View, ACTIVITY_WEIGHTS.view, now),
+        decayedActivity(Like, ACTIVITY_WEIGHTS.like, now),
+        decayedActivity(Comment, ACTIVITY_WEIGHTS.comment, now)
+    ])
+
+    const totals = new Map()
+
+    for (const { _id, score } of activity.flat()) {
+        const key = _id.toString()
+        totals.set(key, (totals.get(key) || 0) + score)
+    }
+
+    // drop videos that were deleted or unpublished since the activity happened
+    const videos = await Video.find({ _id: { $in: [...totals.keys()] }, isPublished: true })
+        .select("owner")
+        .lean()
+
+    const scores = videos
+        .map((video) => ({
+            video: video._id,
+            channel: video.owner,
+            score: totals.get(video._id.toString())
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES)
+
+    return { scores, computedAt: now }
+}
+
+/**
+ * Recomputes the trending scores. Concurrent callers share the same run.
+ */
+const refreshFeedScores = () => {
+    if (!refreshing) {
+        refreshing = computeTrendingScores()
+            .then((result) => {
+                trending = result
+                forYouCache.clear()
+                return result
+            })
+            .finally(() => {
+                refreshing = null
+            })
+    }
+
+    return refreshing
+}
+
+// Serves the cache, only waiting for a refresh when there is nothing cached yet
+const getTrendingScores = async () => {
+    if (!trending.computedAt) {
+        return refreshFeedScores()
+    }
+
+    return trending
+}
+
+const getForYouScores = async (userId) => {
+    const key = userId.toString()
+    const cached = forYouCache.get(key)
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.ranking
+    }
+
+    const { scores, computedAt } = await getTrendingScores()
+
+    const [subscribedChannels, watchedVideoIds, recentlyWatched] = await Promise.all([
+        Subscription.find({ subscriber: userId }).distinct("channel"),
+        WatchHistory.find({ user: userId }).distinct("video"),
+        WatchHistory.find({ user: userId })
+            .sort({ watchedAt: -1 })
+            .limit(WATCHED_CHANNEL_SAMPLE)
+            .select("video")
+            .lean()
+    ])
+
+    const [watchedChannels, recentUploads] = await Promise.all([
+        Video.find({ _id: { $in: recentlyWatched.map((entry) => entry.video) } }).distinct("owner"),
+        Video.find({
+            owner: { $in: subscribedChannels },
+            isPublished: true,
+            createdAt: { $gte: new Date(Date.now() - RECENT_UPLOAD_WINDOW_MS) }
+        })
+            .sort({ createdAt: -1 })
+            .limit(MAX_RECENT_UPLOADS)
+            .select("owner createdAt")
+            .lean()
+    ])
+
+    const subscribed = new Set(subscribedChannels.map(String))
+    const watchedChannelSet = new Set(watchedChannels.map(String))
+    const excluded = new Set(watchedVideoIds.map(String))
+
+    const candidates = new Map()
+
+    for (const { video, channel, score } of scores) {
+        candidates.set(video.toString(), { video, channel, score })
+    }
+
+    // fresh uploads from subscriptions make it in even before they have any activity
+    for (const upload of recentUploads) {
+        const id = upload._id.toString()
+        const freshness = Math.exp(-Math.LN2 * (Date.now() - upload.createdAt.getTime()) / HALF_LIFE_MS)
+        const existing = candidates.get(id)
+
+        candidates.set(id, {
+            video: upload._id,
+            channel: upload.owner,
+            score: (existing?.score || 0) + freshness
+        })
+    }
+
+    const ranking = [...candidates.values()]
+        .filter(({ video, channel }) => !excluded.has(video.toString()) && channel.toString() !== key)
+        .map((candidate) => {
+            const channel = candidate.channel.toString()
+            const boost = subscribed.has(channel)
+                ? SUBSCRIBED_BOOST
+                : watchedChannelSet.has(channel) ? WATCHED_CHANNEL_BOOST : 1
+
+            return { ...candidate, score: candidate.score * boost }
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES)
+
+    const result = { scores: ranking, computedAt }
+
+    // Map keeps insertion order, so the first key is the oldest entry
+    if (forYouCache.size >= MAX_CACHED_USERS) {
+        forYouCache.delete(forYouCache.keys().next().value)
+    }
+    forYouCache.set(key, { ranking: result, expiresAt: Date.now() + getRefreshIntervalMs() })
+
+    return result
+}
+
+/**
+ * Computes the scores once and then keeps them fresh every FEED_REFRESH_MINUTES.
+ * @returns {() => void} stops the refresh timer
+ */
+const startFeedScoring = () => {
+    const run = () => refreshFeedScores().catch((error) => {
+        logger.error("Feed score refresh failed", { error })
+    })
+
+    run()
+    refreshTimer = setInterval(run, getRefreshIntervalMs())
+    refreshTimer.unref?.()
+
+    return stopFeedScoring
+}
+
+const stopFeedScoring = () => {
+    clearInterval(refreshTimer)
+    refreshTimer = null
+}
+
+export {
+    getTrendingScores,
+    getForYouScores,
+    refreshFeedScores,
+    startFeedScoring,
+    stopFeedScoring
+}
@@ -0,0 +1,47 @@
+import fs from "fs"
+
+// Enough bytes for every signature below, including the webm doctype in the EBML header
+const HEADER_BYTES = 64
+
+const readHeader = async (filePath) => {
+    const handle = await fs.promises.open(filePath, "r")
+
+    try {
+        const buffer = Buffer.alloc(HEADER_BYTES)
+        const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0)
+        return buffer.subarray(0, bytesRead)
+    } finally {
+        await handle.close()
+    }
+}
+
+/**
+ * Detects a video container from its magic bytes rather than trusting the client supplied type.
+ * @param {string} filePath
+ * @returns {Promise<string | null>} mime type, null when it isn't a known video container
+ */
+const detectVideoMimeType = async (filePath) => {
+    const header = await readHeader(filePath)
+
+    // ISO base media (mp4, mov): box size, then "ftyp" and the major brand
+    if (header.length >= 12 && header.toString("latin1", 4, 8) === "ftyp") {
+        return header.toString("latin1", 8, 12) === "qt  " ? "video/quicktime" : "video/mp4"
+    }
+
+    // Matroska / WebM start with the EBML magic, the doctype tells them apart
+    if (header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3) {
+        return header.includes("webm", 0, "latin1") ? "video/webm" : "video/x-matroska"
+    }
+
+    if (header.length >= 12 && header.toString("latin1", 0, 4) === "RIFF" && header.toString("latin1", 8, 12) === "AVI ") {
+        return "video/x-msvideo"
+    }
+
+    if (header.length >= 4 && header.toString("latin1", 0, 4) === "OggS") {
+        return "video/ogg"
+    }
+
+    return null
+}
+
+export { detectVideoMimeType }
@@ -0,0 +1,59 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { ApiError } from "./ApiError.js"
+
+// Served by express.static("public") in app.js
+const PUBLIC_DIR = "public"
+const UPLOADS_DIR = "uploads"
+
+const getUploadsPath = () => path.join(PUBLIC_DIR, UPLOADS_DIR)
+
+/**
+ * Storage driver that keeps media on the local filesystem under public/uploads.
+ * The asset id is the stored file name. Useful for offline development.
+ */
+const localDiskDriver = {
+    name: "local",
+
+    async upload(localFilePath, { resourceType = "auto" } = {}) {
+        const assetId = `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`
+
+        try {
+            await fs.promises.mkdir(getUploadsPath(), { recursive: true })
+            await fs.promises.rename(localFilePath, path.join(getUploadsPath(), assetId))
+            const { size } = await fs.promises.stat(path.join(getUploadsPath(), assetId))
+
+            return {
+                url: this.getPublicUrl(assetId),
+                assetId,
+                resourceType,
+                bytes: size
+            }
+        } catch (error) {
+            await fs.promises.rm(localFilePath, { force: true })
+            throw new ApiError(
+                500,
+                "local storage error"
+            )
+        }
+    },
+
+    async remove(assetId) {
+        // basename keeps a stored id from ever pointing outside the uploads folder
+        await fs.promises.rm(path.join(getUploadsPath(), path.basename(assetId)), { force: true })
+    },
+
+    // the uploads folder has to exist and be writable
+    async checkHealth() {
+        await fs.promises.mkdir(getUploadsPath(), { recursive: true })
+        await fs.promises.access(getUploadsPath(), fs.constants.W_OK)
+    },
+
+    getPublicUrl(assetId) {
+        const baseUrl = (process.env.PUBLIC_URL || "").replace(/\/$/, "")
+        return `${baseUrl}/${UPLOADS_DIR}/${encodeURIComponent(path.basename(assetId))}`
+    }
+}
+
+export { localDiskDriver }
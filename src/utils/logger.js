@@ -0,0 +1,79 @@
+/*
+ * Structured logger: one JSON object per line, info and below to stdout, warnings and errors to stderr.
+ * Fields whose name looks like a credential are redacted wherever they are nested.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+const SENSITIVE_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key|checksum/i
+const REDACTED = "[REDACTED]"
+const MAX_DEPTH = 6
+
+// read lazily, on first use rather than at import
+const getMinLevel = () => LEVELS[process.env.LOG_LEVEL] || LEVELS.info
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+    stack: error.stack
+})
+
+/**
+ * Copy of `value` with credentials masked, safe to log.
+ */
+const redact = (value, depth = 0) => {
+    if (value instanceof Error) return serializeError(value)
+    if (value === null || typeof value !== "object") return value
+    if (value instanceof Date) return value.toISOString()
+    if (depth >= MAX_DEPTH) return "[Object]"
+    if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1))
+
+    return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+            key,
+            SENSITIVE_KEY.test(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth + 1)
+        ])
+    )
+}
+
+// Masks the values of credential-like query parameters, e.g. the token of a signed download link
+const redactUrl = (url = "") => {
+    const queryStart = url.indexOf("?")
+
+    if (queryStart === -1) return url
+
+    const params = url.slice(queryStart + 1).split("&").map((param) => {
+        const [key] = param.split("=")
+        return SENSITIVE_KEY.test(key) ? `${key}=${REDACTED}` : param
+    })
+
+    return `${url.slice(0, queryStart)}?${params.join("&")}`
+}
+
+const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < getMinLevel()) return
+
+    const line = JSON.stringify({
+        level,
+        time: new Date().toISOString(),
+        msg: message,
+        ...redact(fields)
+    })
+
+    if (LEVELS[level] >= LEVELS.warn) {
+        process.stderr.write(`${line}\n`)
+    } else {
+        process.stdout.write(`${line}\n`)
+    }
+}
+
+const logger = {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields)
+}
+
+export { logger, redact, redactUrl }
@@ -0,0 +1,35 @@
+import { getRateLimitStore } from "./rateLimitStore.js"
+
+// After MAX_FAILURES failed logins the account is locked, each further failure doubles the lock
+const MAX_FAILURES = 5
+const BASE_LOCK_MS = 60 * 1000
+const MAX_LOCK_MS = 60 * 60 * 1000
+// failures are forgotten a day after the first one
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000
+
+/**
+ * @param {string} account - `user:<id>` for known accounts, `name:<lowercased email or username>` for unknown ones
+ * @returns {Promise<number>} milliseconds until the account unlocks, 0 when it isn't locked
+ */
+const getLockRemaining = async (account) => {
+    const lockedUntil = await getRateLimitStore().get(`lock:${account}`)
+    return lockedUntil ? Math.max(lockedUntil - Date.now(), 0) : 0
+}
+
+const recordLoginFailure = async (account) => {
+    const store = getRateLimitStore()
+    const { count } = await store.increment(`fail:${account}`, FAILURE_WINDOW_MS)
+
+    if (count >= MAX_FAILURES) {
+        const lockMs = Math.min(BASE_LOCK_MS * 2 ** (count - MAX_FAILURES), MAX_LOCK_MS)
+        await store.set(`lock:${account}`, Date.now() + lockMs, lockMs)
+    }
+}
+
+const clearLoginFailures = async (account) => {
+    const store = getRateLimitStore()
+    await store.delete(`fail:${account}`)
+    await store.delete(`lock:${account}`)
+}
+
+export { getLockRemaining, recordLoginFailure, clearLoginFailures }
@@ -0,0 +1,83 @@
+import fs from "fs"
+import path from "path"
+import nodemailer from "nodemailer"
+import { logger, redactUrl } from "./logger.js"
+
+let smtpTransport
+
+const getSmtpTransport = () => {
+    if (!smtpTransport) {
+        smtpTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        })
+    }
+    return smtpTransport
+}
+
+const smtpDriver = {
+    name: "smtp",
+    async send(message) {
+        return await getSmtpTransport().sendMail(message)
+    }
+}
+
+// Writes every mail as a json file, handy for local development and tests
+const fileDriver = {
+    name: "file",
+    async send(message) {
+        const directory = process.env.MAIL_FILE_DIR || "logs/mail"
+        await fs.promises.mkdir(directory, { recursive: true })
+        const filePath = path.join(directory, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`)
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2))
+        return { filePath }
+    }
+}
+
+// Logs every mail with the tokens of its links masked, use the file driver to follow the links
+const consoleDriver = {
+    name: "console",
+    async send(message) {
+        logger.info("Mail", {
+            to: message.to,
+            subject: message.subject,
+            text: message.text.replace(/\S+\?\S+/g, (url) => redactUrl(url))
+        })
+        return {}
+    }
+}
+
+const drivers = {
+    [smtpDriver.name]: smtpDriver,
+    [fileDriver.name]: fileDriver,
+    [consoleDriver.name]: consoleDriver
+}
+
+/**
+ * Sends an email through the driver named by MAIL_DRIVER (console by default outside production).
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ */
+const sendMail = async (message) => {
+    //production has to pick a driver, mails must not silently end up in the logs
+    if (!process.env.MAIL_DRIVER && process.env.NODE_ENV === "production") {
+        throw new Error("MAIL_DRIVER is not set")
+    }
+
+    const name = process.env.MAIL_DRIVER || consoleDriver.name
+    const driver = drivers[name]
+
+    if (!driver) {
+        throw new Error(`Unknown mail driver "${name}"`)
+    }
+
+    return await driver.send({
+        from: process.env.MAIL_FROM || "VideoTube <no-reply@videotube.local>",
+        ...message
+    })
+}
+
+export { sendMail }
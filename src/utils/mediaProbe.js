@@ -0,0 +1,495 @@
+import fs from "fs"
+import { ApiError } from "./ApiError.js"
+import { detectVideoMimeType } from "./fileType.js"
+
+/*
+ * Reads duration, dimensions and codec straight from the container metadata of
+ * MP4 / MOV (ISO base media boxes) and WebM / Matroska (EBML) files, without ffmpeg.
+ */
+
+// metadata boxes/elements bigger than this aren't metadata, the file is broken
+const MAX_METADATA_BYTES = 64 * 1024 * 1024
+const READ_WINDOW_BYTES = 1024 * 1024
+
+const corrupt = (reason) => new ApiError(422, `CORRUPT VIDEO FILE: ${reason}`)
+
+// Random access reads with a one window cache, so walking many small headers stays cheap
+class FileReader {
+    constructor(handle, size) {
+        this.handle = handle
+        this.size = size
+        this.windowStart = 0
+        this.window = Buffer.alloc(0)
+    }
+
+    async read(offset, length) {
+        if (offset < 0 || offset + length > this.size) {
+            throw corrupt("unexpected end of file")
+        }
+
+        if (offset < this.windowStart || offset + length > this.windowStart + this.window.length) {
+            const windowLength = Math.min(Math.max(length, READ_WINDOW_BYTES), this.size - offset)
+            const buffer = Buffer.alloc(windowLength)
+            const { bytesRead } = await this.handle.read(buffer, 0, windowLength, offset)
+            this.windowStart = offset
+            this.window = buffer.subarray(0, bytesRead)
+
+            if (bytesRead < length) throw corrupt("unexpected end of file")
+        }
+
+        return this.window.subarray(offset - this.windowStart, offset - this.windowStart + length)
+    }
+
+    // like read, but stops at the end of the file
+    async peek(offset, length) {
+        return this.read(offset, Math.min(length, this.size - offset))
+    }
+}
+
+/* ---------- MP4 / MOV ---------- */
+
+const MP4_VIDEO_CODECS = {
+    avc1: "h264",
+    avc3: "h264",
+    hvc1: "hevc",
+    hev1: "hevc",
+    vp08: "vp8",
+    vp09: "vp9",
+    av01: "av1",
+    mp4v: "mpeg4"
+}
+
+const readBoxHeader = (buffer, offset, end) => {
+    if (offset + 8 > end) throw corrupt("truncated box header")
+
+    let size = buffer.readUInt32BE(offset)
+    const type = buffer.toString("latin1", offset + 4, offset + 8)
+    let headerSize = 8
+
+    if (size === 1) {
+        if (offset + 16 > end) throw corrupt("truncated box header")
+        size = Number(buffer.readBigUInt64BE(offset + 8))
+        headerSize = 16
+    } else if (size === 0) {
+        size = end - offset
+    }
+
+    if (size < headerSize || offset + size > end) throw corrupt(`invalid ${type} box size`)
+
+    return { type, start: offset + headerSize, end: offset + size }
+}
+
+// Child boxes of a container box already in memory
+const childBoxes = (buffer, start, end) => {
+    const boxes = []
+    let offset = start
+
+    while (offset + 8 <= end) {
+        const box = readBoxHeader(buffer, offset, end)
+        boxes.push(box)
+        offset = box.end
+    }
+
+    return boxes
+}
+
+const findBox = (buffer, parent, type) => childBoxes(buffer, parent.start, parent.end).find((box) => box.type === type)
+
+// version 0 boxes use 32 bit times, version 1 use 64 bit
+const readTimescaleAndDuration = (buffer, box) => {
+    const version = buffer[box.start]
+
+    if (version === 1) {
+        return {
+            timescale: buffer.readUInt32BE(box.start + 20),
+            duration: Number(buffer.readBigUInt64BE(box.start + 24))
+        }
+    }
+
+    return {
+        timescale: buffer.readUInt32BE(box.start + 12),
+        duration: buffer.readUInt32BE(box.start + 16)
+    }
+}
+
+const parseTrack = (buffer, trak) => {
+    const mdia = findBox(buffer, trak, "mdia")
+    const hdlr = mdia && findBox(buffer, mdia, "hdlr")
+
+    if (!hdlr || buffer.toString("latin1", hdlr.start + 8, hdlr.start + 12) !== "vide") return null
+
+    const track = {}
+
+    // tkhd holds the display size as 16.16 fixed point numbers
+    const tkhd = findBox(buffer, trak, "tkhd")
+    if (tkhd) {
+        const sizeOffset = tkhd.start + (buffer[tkhd.start] === 1 ? 88 : 76)
+        track.width = Math.round(buffer.readUInt32BE(sizeOffset) / 65536)
+        track.height = Math.round(buffer.readUInt32BE(sizeOffset + 4) / 65536)
+    }
+
+    const mdhd = findBox(buffer, mdia, "mdhd")
+    if (mdhd) {
+        const { timescale, duration } = readTimescaleAndDuration(buffer, mdhd)
+        track.duration = timescale ? duration / timescale : 0
+    }
+
+    const minf = findBox(buffer, mdia, "minf")
+    const stbl = minf && findBox(buffer, minf, "stbl")
+    const stsd = stbl && findBox(buffer, stbl, "stsd")
+
+    // the first sample description names the codec and has the coded size
+    if (stsd && stsd.end - stsd.start >= 16 + 36) {
+        const entry = stsd.start + 8
+        const format = buffer.toString("latin1", entry + 4, entry + 8)
+        track.codec = MP4_VIDEO_CODECS[format] || format.trim()
+        track.width ||= buffer.readUInt16BE(entry + 32)
+        track.height ||= buffer.readUInt16BE(entry + 34)
+    }
+
+    return track
+}
+
+const probeMp4 = async (reader) => {
+    let moov = null
+    let hasMediaData = false
+    let offset = 0
+
+    // top level boxes are walked by their headers only, mdat can be gigabytes
+    while (offset < reader.size) {
+        const header = await reader.peek(offset, 16)
+        const box = readBoxHeader(header, 0, reader.size - offset)
+
+        if (offset === 0 && box.type !== "ftyp") throw corrupt("missing ftyp box")
+
+        if (box.type === "moov") {
+            if (box.end > MAX_METADATA_BYTES) throw corrupt("moov box is too large")
+            moov = { buffer: Buffer.from(await reader.read(offset, box.end)), box }
+        }
+
+        if (box.type === "mdat" && box.end > box.start) hasMediaData = true
+
+        offset += box.end
+    }
+
+    if (!moov) throw corrupt("missing moov box")
+    if (!hasMediaData) throw corrupt("no media data")
+
+    const { buffer, box } = moov
+    const mvhd = findBox(buffer, box, "mvhd")
+
+    if (!mvhd) throw corrupt("missing mvhd box")
+
+    const movie = readTimescaleAndDuration(buffer, mvhd)
+    let duration = movie.timescale ? movie.duration / movie.timescale : 0
+
+    // fragmented mp4 keeps the total in mvex/mehd
+    const mvex = findBox(buffer, box, "mvex")
+    const mehd = mvex && findBox(buffer, mvex, "mehd")
+    if (!duration && mehd && movie.timescale) {
+        const fragmentDuration = buffer[mehd.start] === 1
+            ? Number(buffer.readBigUInt64BE(mehd.start + 4))
+            : buffer.readUInt32BE(mehd.start + 4)
+        duration = fragmentDuration / movie.timescale
+    }
+
+    const videoTrack = childBoxes(buffer, box.start, box.end)
+        .filter((child) => child.type === "trak")
+        .map((trak) => parseTrack(buffer, trak))
+        .find(Boolean)
+
+    if (!videoTrack) throw corrupt("no video track")
+
+    return {
+        duration: duration || videoTrack.duration || 0,
+        width: videoTrack.width || 0,
+        height: videoTrack.height || 0,
+        codec: videoTrack.codec || "unknown"
+    }
+}
+
+/* ---------- WebM / Matroska ---------- */
+
+const EBML_IDS = {
+    EBML: 0x1a45dfa3,
+    DOC_TYPE: 0x4282,
+    SEGMENT: 0x18538067,
+    INFO: 0x1549a966,
+    TIMECODE_SCALE: 0x2ad7b1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654ae6b,
+    TRACK_ENTRY: 0xae,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    VIDEO: 0xe0,
+    PIXEL_WIDTH: 0xb0,
+    PIXEL_HEIGHT: 0xba,
+    CLUSTER: 0x1f43b675,
+    CLUSTER_TIMECODE: 0xe7,
+    SIMPLE_BLOCK: 0xa3,
+    BLOCK_GROUP: 0xa0,
+    BLOCK: 0xa1
+}
+
+const MATROSKA_VIDEO_CODECS = {
+    V_VP8: "vp8",
+    V_VP9: "vp9",
+    V_AV1: "av1",
+    "V_MPEG4/ISO/AVC": "h264",
+    "V_MPEGH/ISO/HEVC": "hevc",
+    V_THEORA: "theora"
+}
+
+const TRACK_TYPE_VIDEO = 1
+
+// EBML variable length integer. IDs keep their length marker, sizes don't.
+const readVint = (buffer, offset, keepMarker) => {
+    const first = buffer[offset]
+    if (first === undefined || first === 0) throw corrupt("invalid element header")
+
+    const length = Math.clz32(first) - 23
+    if (offset + length > buffer.length) throw corrupt("truncated element header")
+
+    let value = keepMarker ? first : first & (0xff >> length)
+    let allOnes = value === (0xff >> length)
+
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i]
+        if (buffer[offset + i] !== 0xff) allOnes = false
+    }
+
+    return { value, length, unknown: !keepMarker && allOnes }
+}
+
+const readElementHeader = (buffer, offset) => {
+    const id = readVint(buffer, offset, true)
+    const size = readVint(buffer, offset + id.length, false)
+
+    return {
+        id: id.value,
+        dataStart: offset + id.length + size.length,
+        size: size.unknown ? null : size.value
+    }
+}
+
+const readUInt = (buffer, start, size) => {
+    let value = 0
+    for (let i = 0; i < size; i++) value = value * 256 + buffer[start + i]
+    return value
+}
+
+// Children of an element that is already fully in memory
+const childElements = (buffer, start, end) => {
+    const elements = []
+    let offset = start
+
+    while (offset < end) {
+        const element = readElementHeader(buffer, offset)
+        const elementEnd = element.size === null ? end : element.dataStart + element.size
+        if (elementEnd > end) throw corrupt("element overruns its parent")
+        elements.push({ ...element, end: elementEnd })
+        offset = elementEnd
+    }
+
+    return elements
+}
+
+const parseInfo = (buffer) => {
+    let timecodeScale = 1000000
+    let duration = null
+
+    for (const element of childElements(buffer, 0, buffer.length)) {
+        if (element.id === EBML_IDS.TIMECODE_SCALE) {
+            timecodeScale = readUInt(buffer, element.dataStart, element.size)
+        }
+        if (element.id === EBML_IDS.DURATION) {
+            duration = element.size === 4
+                ? buffer.readFloatBE(element.dataStart)
+                : buffer.readDoubleBE(element.dataStart)
+        }
+    }
+
+    return { timecodeScale, duration }
+}
+
+const parseTracks = (buffer) => {
+    for (const entry of childElements(buffer, 0, buffer.length)) {
+        if (entry.id !== EBML_IDS.TRACK_ENTRY) continue
+
+        const track = {}
+
+        for (const element of childElements(buffer, entry.dataStart, entry.end)) {
+            if (element.id === EBML_IDS.TRACK_TYPE) track.type = readUInt(buffer, element.dataStart, element.size)
+            if (element.id === EBML_IDS.CODEC_ID) track.codecId = buffer.toString("latin1", element.dataStart, element.end).replace(/\0+$/, "")
+            if (element.id === EBML_IDS.VIDEO) {
+                for (const video of childElements(buffer, element.dataStart, element.end)) {
+                    if (video.id === EBML_IDS.PIXEL_WIDTH) track.width = readUInt(buffer, video.dataStart, video.size)
+                    if (video.id === EBML_IDS.PIXEL_HEIGHT) track.height = readUInt(buffer, video.dataStart, video.size)
+                }
+            }
+        }
+
+        if (track.type === TRACK_TYPE_VIDEO) return track
+    }
+
+    return null
+}
+
+// Reads one element header straight from the file
+const readHeaderAt = async (reader, offset) => readElementHeader(await reader.peek(offset, 12), 0)
+
+// Files recorded by browsers often have no Duration, so it's taken from the last block timestamp
+const scanClustersForDuration = async (reader, offset, end) => {
+    let lastTimecode = 0
+    let clusterTimecode = 0
+
+    while (offset < end) {
+        const element = await readHeaderAt(reader, offset)
+        const dataStart = offset + element.dataStart
+
+        if (element.id === EBML_IDS.CLUSTER) {
+            // step into the cluster, its children are read as we go
+            offset = dataStart
+            continue
+        }
+
+        if (element.size === null) throw corrupt("element of unknown size inside a cluster")
+        if (dataStart + element.size > end) throw corrupt("element overruns the segment")
+
+        if (element.id === EBML_IDS.CLUSTER_TIMECODE) {
+            clusterTimecode = readUInt(await reader.read(dataStart, element.size), 0, element.size)
+        } else if (element.id === EBML_IDS.SIMPLE_BLOCK || element.id === EBML_IDS.BLOCK) {
+            // block: track number (vint), then a signed 16 bit timecode relative to the cluster
+            const header = await reader.peek(dataStart, 10)
+            const track = readVint(header, 0, false)
+            lastTimecode = Math.max(lastTimecode, clusterTimecode + header.readInt16BE(track.length))
+        } else if (element.id === EBML_IDS.BLOCK_GROUP) {
+            offset = dataStart
+            continue
+        }
+
+        offset = dataStart + element.size
+    }
+
+    return lastTimecode
+}
+
+const probeMatroska = async (reader) => {
+    const ebml = await readHeaderAt(reader, 0)
+
+    if (ebml.id !== EBML_IDS.EBML || ebml.size === null || ebml.size > 4096) throw corrupt("invalid EBML header")
+
+    const ebmlData = await reader.read(ebml.dataStart, ebml.size)
+    const docTypeElement = childElements(ebmlData, 0, ebmlData.length).find((element) => element.id === EBML_IDS.DOC_TYPE)
+    const docType = docTypeElement && ebmlData.toString("latin1", docTypeElement.dataStart, docTypeElement.end)
+
+    if (docType !== "webm" && docType !== "matroska") throw corrupt("unknown EBML document type")
+
+    const segmentOffset = ebml.dataStart + ebml.size
+    const segment = await readHeaderAt(reader, segmentOffset)
+
+    if (segment.id !== EBML_IDS.SEGMENT) throw corrupt("missing segment")
+
+    const segmentStart = segmentOffset + segment.dataStart
+    const segmentEnd = segment.size === null ? reader.size : segmentStart + segment.size
+
+    if (segmentEnd > reader.size) throw corrupt("truncated segment")
+
+    let info = null
+    let videoTrack = null
+    let firstCluster = null
+    let offset = segmentStart
+
+    // Info and Tracks come before the first cluster, everything else is skipped by size
+    while (offset < segmentEnd && !firstCluster) {
+        const element = await readHeaderAt(reader, offset)
+        const dataStart = offset + element.dataStart
+
+        if (element.id === EBML_IDS.CLUSTER) {
+            firstCluster = offset
+            break
+        }
+
+        if (element.size === null) throw corrupt("element of unknown size in the segment")
+        if (dataStart + element.size > segmentEnd) throw corrupt("element overruns the segment")
+
+        if (element.id === EBML_IDS.INFO || element.id === EBML_IDS.TRACKS) {
+            if (element.size > MAX_METADATA_BYTES) throw corrupt("metadata element is too large")
+            const data = Buffer.from(await reader.read(dataStart, element.size))
+
+            if (element.id === EBML_IDS.INFO) info = parseInfo(data)
+            else videoTrack = parseTracks(data)
+        }
+
+        offset = dataStart + element.size
+    }
+
+    if (!info) throw corrupt("missing segment info")
+    if (!videoTrack) throw corrupt("no video track")
+    if (firstCluster === null) throw corrupt("no media data")
+
+    let ticks = info.duration
+
+    if (!ticks) {
+        ticks = await scanClustersForDuration(reader, firstCluster, segmentEnd)
+    }
+
+    return {
+        duration: (ticks * info.timecodeScale) / 1e9,
+        width: videoTrack.width || 0,
+        height: videoTrack.height || 0,
+        codec: MATROSKA_VIDEO_CODECS[videoTrack.codecId] || videoTrack.codecId || "unknown"
+    }
+}
+
+/* ---------- entry point ---------- */
+
+const PROBES = {
+    "video/mp4": probeMp4,
+    "video/quicktime": probeMp4,
+    "video/webm": probeMatroska,
+    "video/x-matroska": probeMatroska
+}
+
+export const PROBED_MIME_TYPES = Object.keys(PROBES)
+
+/**
+ * Reads the metadata of an MP4, MOV, WebM or MKV file.
+ * Unsupported containers are rejected with 415, unreadable or broken ones with 422.
+ * @param {string} filePath
+ * @returns {Promise<{mimeType: string, duration: number, width: number, height: number, codec: string, size: number}>}
+ *  duration in seconds, size in bytes
+ */
+export const probeVideo = async (filePath) => {
+    const mimeType = await detectVideoMimeType(filePath)
+    const probe = PROBES[mimeType]
+
+    if (!probe) {
+        throw new ApiError(415, "UNSUPPORTED VIDEO FORMAT, UPLOAD AN MP4, MOV, WEBM OR MKV FILE")
+    }
+
+    const handle = await fs.promises.open(filePath, "r")
+
+    try {
+        const { size } = await handle.stat()
+        const metadata = await probe(new FileReader(handle, size))
+
+        if (!Number.isFinite(metadata.duration) || metadata.duration <= 0) {
+            throw corrupt("could not read the duration")
+        }
+
+        return {
+            mimeType,
+            ...metadata,
+            // milliseconds are plenty
+            duration: Math.round(metadata.duration * 1000) / 1000,
+            size
+        }
+    } catch (error) {
+        if (error instanceof ApiError) throw error
+        // buffer reads past the end and similar mean the metadata is broken
+        throw corrupt("unreadable metadata")
+    } finally {
+        await handle.close()
+    }
+}
@@ -0,0 +1,166 @@
+import mongoose from "mongoose"
+
+/*
+ * In-process request metrics rendered in the Prometheus text format.
+ * Labels use the route pattern, never the raw url, so the number of series stays bounded.
+ */
+
+// seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+const requestCounts = new Map()
+const latencies = new Map()
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels)
+    return entries.length ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}` : ""
+}
+
+/**
+ * Counts one finished request and adds its duration to the route's latency histogram.
+ */
+const recordRequest = ({ method, route, statusCode, durationSeconds }) => {
+    const countKey = JSON.stringify([method, route, statusCode])
+    requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1)
+
+    const latencyKey = JSON.stringify([method, route])
+    let histogram = latencies.get(latencyKey)
+
+    if (!histogram) {
+        histogram = { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }
+        latencies.set(latencyKey, histogram)
+    }
+
+    LATENCY_BUCKETS.forEach((bound, index) => {
+        if (durationSeconds <= bound) histogram.buckets[index]++
+    })
+    histogram.sum += durationSeconds
+    histogram.count++
+}
+
+// Connection pool of every server the driver talks to, kept up to date from the driver's
+// connection pool monitoring (CMAP) events, keyed by server address
+const pools = new Map()
+const trackedClients = new WeakSet()
+
+const getPool = (address) => {
+    let pool = pools.get(address)
+
+    if (!pool) {
+        pool = { created: 0, ready: 0, closed: 0, checkedOut: 0, waitQueue: 0, max: 0 }
+        pools.set(address, pool)
+    }
+
+    return pool
+}
+
+const POOL_EVENTS = {
+    connectionPoolCreated: (pool, event) => { pool.max = event.options?.maxPoolSize ?? 0 },
+    connectionPoolClosed: (pool, event) => { pools.delete(event.address) },
+    connectionCreated: (pool) => { pool.created++ },
+    connectionReady: (pool) => { pool.ready++ },
+    connectionClosed: (pool) => { pool.closed++ },
+    connectionCheckOutStarted: (pool) => { pool.waitQueue++ },
+    connectionCheckOutFailed: (pool) => { pool.waitQueue-- },
+    connectionCheckedOut: (pool) => { pool.waitQueue--; pool.checkedOut++ },
+    connectionCheckedIn: (pool) => { pool.checkedOut-- }
+}
+
+/**
+ * Follows the pool events of a MongoClient. Call it right after the client is created,
+ * before its first connection is opened, or the counts start off short.
+ * @param {import("mongodb").MongoClient} [client]
+ */
+const trackMongoPool = (client) => {
+    if (!client || trackedClients.has(client)) return
+    trackedClients.add(client)
+
+    for (const [name, apply] of Object.entries(POOL_EVENTS)) {
+        client.on(name, (event) => apply(getPool(event.address), event))
+    }
+}
+
+const getMongoPoolStats = () => [...pools.entries()].map(([address, pool]) => {
+    const total = Math.max(pool.created - pool.closed, 0)
+    const pending = Math.max(Math.min(pool.created - pool.ready, total), 0)
+    const checkedOut = Math.max(pool.checkedOut, 0)
+
+    return {
+        address,
+        total,
+        available: Math.max(total - pending - checkedOut, 0),
+        checkedOut,
+        pending,
+        waitQueue: Math.max(pool.waitQueue, 0),
+        max: pool.max
+    }
+})
+
+const metric = (lines, name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`)
+    lines.push(`# TYPE ${name} ${type}`)
+    for (const [labels, value, suffix = ""] of samples) {
+        lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`)
+    }
+}
+
+/**
+ * Every metric in the Prometheus text exposition format.
+ * @returns {string}
+ */
+const renderMetrics = () => {
+    const lines = []
+
+    metric(lines, "http_requests_total", "counter", "Finished HTTP requests by method, route and status",
+        [...requestCounts.entries()].map(([key, count]) => {
+            const [method, route, status] = JSON.parse(key)
+            return [{ method, route, status }, count]
+        })
+    )
+
+    metric(lines, "http_request_duration_seconds", "histogram", "HTTP request latency by method and route",
+        [...latencies.entries()].flatMap(([key, histogram]) => {
+            const [method, route] = JSON.parse(key)
+            return [
+                ...LATENCY_BUCKETS.map((bound, index) => [{ method, route, le: bound }, histogram.buckets[index], "_bucket"]),
+                [{ method, route, le: "+Inf" }, histogram.count, "_bucket"],
+                [{ method, route }, histogram.sum, "_sum"],
+                [{ method, route }, histogram.count, "_count"]
+            ]
+        })
+    )
+
+    const pools = getMongoPoolStats()
+
+    metric(lines, "mongodb_connection_state", "gauge", "Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)",
+        [[{}, mongoose.connection.readyState]]
+    )
+    metric(lines, "mongodb_pool_connections", "gauge", "Open connections in the MongoDB pool by state",
+        pools.flatMap((pool) => [
+            [{ server: pool.address, state: "available" }, pool.available],
+            [{ server: pool.address, state: "checked_out" }, pool.checkedOut],
+            [{ server: pool.address, state: "pending" }, pool.pending]
+        ])
+    )
+    metric(lines, "mongodb_pool_connections_total", "gauge", "All open connections in the MongoDB pool",
+        pools.map((pool) => [{ server: pool.address }, pool.total])
+    )
+    metric(lines, "mongodb_pool_max_connections", "gauge", "Configured maximum pool size",
+        pools.map((pool) => [{ server: pool.address }, pool.max])
+    )
+    metric(lines, "mongodb_pool_wait_queue_size", "gauge", "Operations waiting for a pooled connection",
+        pools.map((pool) => [{ server: pool.address }, pool.waitQueue])
+    )
+
+    const memory = process.memoryUsage()
+
+    metric(lines, "process_resident_memory_bytes", "gauge", "Resident memory size in bytes", [[{}, memory.rss]])
+    metric(lines, "nodejs_heap_used_bytes", "gauge", "V8 heap in use in bytes", [[{}, memory.heapUsed]])
+    metric(lines, "process_uptime_seconds", "gauge", "Seconds since the process started", [[{}, Math.round(process.uptime())]])
+
+    return `${lines.join("\n")}\n`
+}
+
+export { recordRequest, renderMetrics, trackMongoPool }
@@ -0,0 +1,149 @@
+import { Notification } from "../models/notification.model.js"
+import { User } from "../models/user.model.js"
+import { Video } from "../models/video.model.js"
+import { Comment } from "../models/comment.model.js"
+import { Tweet } from "../models/tweet.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { appEvents, EVENTS } from "./events.js"
+import { logger } from "./logger.js"
+
+// big channels fan out in batches so one upload doesn't build one huge insert
+const FAN_OUT_BATCH_SIZE = 1000
+
+const ACTOR_FIELDS = "username fullName avatar"
+
+// Keeps the recipients that haven't switched this notification type off
+const filterByPreference = (recipientIds, type) =>
+    User.find({
+        _id: { $in: recipientIds },
+        [`notificationPreferences.${type}`]: { $ne: false }
+    }).distinct("_id")
+
+/**
+ * Stores one notification per recipient and pushes each to the live streams.
+ * The actor never gets notified about their own activity.
+ */
+const notify = async (recipientIds, { type, actor, ...fields }) => {
+    const recipients = recipientIds.filter((id) => id && !id.equals(actor))
+
+    if (!recipients.length) return
+
+    const allowed = await filterByPreference(recipients, type)
+
+    for (let i = 0; i < allowed.length; i += FAN_OUT_BATCH_SIZE) {
+        const created = await Notification.insertMany(
+            allowed.slice(i, i + FAN_OUT_BATCH_SIZE).map((recipient) => ({ recipient, actor, type, ...fields }))
+        )
+
+        const populated = await Notification.populate(created, { path: "actor", select: ACTOR_FIELDS })
+
+        for (const notification of populated) {
+            appEvents.emit(EVENTS.NOTIFICATION_CREATED, notification.toObject())
+        }
+    }
+}
+
+const onVideoPublished = async ({ video }) => {
+    // republishing after an unpublish doesn't notify the subscribers a second time
+    if (await Notification.exists({ type: "video", video: video._id })) return
+
+    const subscribers = await Subscription.find({ channel: video.owner }).distinct("subscriber")
+
+    await notify(subscribers, {
+        type: "video",
+        actor: video.owner,
+        video: video._id,
+        message: `uploaded a new video: ${video.title}`
+    })
+}
+
+const onCommentCreated = async ({ comment }) => {
+    const video = await Video.findById(comment.video).select("owner title")
+
+    if (!video) return
+
+    await notify([video.owner], {
+        type: "comment",
+        actor: comment.owner,
+        video: video._id,
+        comment: comment._id,
+        message: `commented on your video: ${video.title}`
+    })
+
+    if (!comment.parentComment) return
+
+    const parent = await Comment.findById(comment.parentComment).select("owner")
+
+    // the video owner already heard about this comment
+    if (!parent || parent.owner.equals(video.owner)) return
+
+    await notify([parent.owner], {
+        type: "reply",
+        actor: comment.owner,
+        video: video._id,
+        comment: comment._id,
+        message: "replied to your comment"
+    })
+}
+
+const LIKE_TARGETS = {
+    video: { Model: Video, message: "liked your video" },
+    comment: { Model: Comment, message: "liked your comment" },
+    tweet: { Model: Tweet, message: "liked your tweet" }
+}
+
+const onLikeCreated = async ({ like }) => {
+    const target = Object.keys(LIKE_TARGETS).find((key) => like[key])
+    const { Model, message } = LIKE_TARGETS[target]
+
+    // unliking and liking again doesn't notify twice
+    if (await Notification.exists({ type: "like", actor: like.likedBy, [target]: like[target] })) return
+
+    const document = await Model.findById(like[target]).select("owner video")
+
+    if (!document) return
+
+    await notify([document.owner], {
+        type: "like",
+        actor: like.likedBy,
+        [target]: document._id,
+        // comment likes also point at the video so the client can link to it
+        ...(target === "comment" && { video: document.video }),
+        message
+    })
+}
+
+const onSubscriptionCreated = async ({ subscription }) => {
+    if (await Notification.exists({
+        type: "subscription",
+        actor: subscription.subscriber,
+        recipient: subscription.channel
+    })) return
+
+    await notify([subscription.channel], {
+        type: "subscription",
+        actor: subscription.subscriber,
+        message: "subscribed to your channel"
+    })
+}
+
+// Listeners run after the response was sent, so failures are logged instead of thrown
+const safely = (listener) => (payload) => {
+    listener(payload).catch((error) => {
+        logger.error("Notification listener failed", { error })
+    })
+}
+
+let registered = false
+
+const registerNotificationListeners = () => {
+    if (registered) return
+    registered = true
+
+    appEvents.on(EVENTS.VIDEO_PUBLISHED, safely(onVideoPublished))
+    appEvents.on(EVENTS.COMMENT_CREATED, safely(onCommentCreated))
+    appEvents.on(EVENTS.LIKE_CREATED, safely(onLikeCreated))
+    appEvents.on(EVENTS.SUBSCRIPTION_CREATED, safely(onSubscriptionCreated))
+}
+
+export { registerNotificationListeners }
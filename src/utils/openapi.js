@@ -0,0 +1,273 @@
+import fs from "fs"
+import { VerifyJWT } from "../middlewares/auth.middleware.js"
+import { listRoutes, getHandlers } from "./routes.js"
+
+/*
+ * Builds the OpenAPI 3 document from the routers mounted on the app. Everything comes from
+ * the middleware chains: validate() for fields, VerifyJWT / authorizeRoles for auth and
+ * rateLimit() for 429s, so the docs can't drift from what the routes actually do.
+ */
+
+// Responses that aren't the JSON envelope, keyed by "METHOD path"
+const RESPONSE_OVERRIDES = {
+    "GET /api/v1/exports/{exportId}/download": {
+        description: "The export archive",
+        content: { "application/zip": { schema: { type: "string", format: "binary" } } }
+    },
+    "GET /api/v1/notifications/stream": {
+        description: "Server-Sent Events stream with `notification` and `unread-count` events",
+        content: { "text/event-stream": { schema: { type: "string" } } }
+    }
+}
+
+const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: { $ref: "#/components/schemas/ApiError" } } }
+})
+
+const components = {
+    securitySchemes: {
+        bearerAuth: {
+            type: "http",
+            scheme: "bearer",
+            bearerFormat: "JWT",
+            description: "The accessToken returned by login, sent as `Authorization: Bearer <token>`"
+        },
+        cookieAuth: {
+            type: "apiKey",
+            in: "cookie",
+            name: "accessToken",
+            description: "httpOnly cookie set by login and refresh-token"
+        }
+    },
+    schemas: {
+        ApiResponse: {
+            type: "object",
+            description: "Envelope of every successful JSON response, the payload is in `data`",
+            properties: {
+                statusCode: { type: "integer", example: 200 },
+                data: { description: "Response payload, its shape depends on the route" },
+                message: { type: "string", example: "VIDEOS FETCHED SUCCESSFULLY" },
+                success: { type: "boolean", example: true }
+            },
+            required: ["statusCode", "data", "message", "success"]
+        },
+        ApiError: {
+            type: "object",
+            description: "Envelope of every error response",
+            properties: {
+                statusCode: { type: "integer", example: 400 },
+                data: { type: "object", nullable: true, example: null },
+                message: { type: "string", example: "VALIDATION ERROR" },
+                errors: {
+                    type: "array",
+                    items: { $ref: "#/components/schemas/FieldError" }
+                },
+                success: { type: "boolean", example: false },
+                code: { type: "string", description: "Stable, machine-readable error code", example: "VALIDATION_FAILED" },
+                requestId: { type: "string", description: "Same as the X-Request-Id response header, quote it when reporting a problem" },
+                stack: { type: "string", description: "Only sent outside production" }
+            },
+            required: ["statusCode", "data", "message", "errors", "success", "code", "requestId"]
+        },
+        FieldError: {
+            type: "object",
+            properties: {
+                field: { type: "string", example: "email" },
+                location: { type: "string", enum: ["body", "params", "query", "files"] },
+                message: { type: "string", example: "email must be a valid email address" }
+            }
+        }
+    }
+}
+
+// One field rule of utils/validation.js as an OpenAPI schema
+const ruleToSchema = (rule) => {
+    const schema = {}
+
+    switch (rule.type) {
+        case "string":
+            schema.type = "string"
+            if (rule.format) schema.format = rule.format
+            if (rule.min !== undefined) schema.minLength = rule.min
+            if (rule.max !== undefined) schema.maxLength = rule.max
+            if (rule.pattern) schema.pattern = rule.pattern.source
+            break
+        case "number":
+        case "integer":
+            schema.type = rule.type
+            if (rule.min !== undefined) schema.minimum = rule.min
+            if (rule.max !== undefined) schema.maximum = rule.max
+            break
+        case "boolean":
+            schema.type = "boolean"
+            break
+        case "objectId":
+            schema.type = "string"
+            schema.pattern = "^[0-9a-fA-F]{24}$"
+            break
+        case "date":
+            schema.type = "string"
+            schema.format = "date-time"
+            break
+        case "enum":
+            schema.type = typeof rule.values[0] === "number" ? "number" : "string"
+            schema.enum = rule.values
+            break
+        case "file": {
+            const binary = { type: "string", format: "binary" }
+            Object.assign(schema, rule.maxCount > 1 ? { type: "array", items: binary, maxItems: rule.maxCount } : binary)
+            break
+        }
+    }
+
+    const notes = [
+        rule.description,
+        rule.mimeTypes && `Accepted types: ${rule.mimeTypes.join(", ")}`,
+        rule.patternMessage && `Value ${rule.patternMessage}`
+    ].filter(Boolean)
+
+    if (notes.length) schema.description = notes.join(". ")
+    if (rule.default !== undefined) schema.default = rule.default
+
+    return schema
+}
+
+const objectSchema = (fields) => {
+    const required = Object.keys(fields).filter((field) => fields[field].required)
+
+    return {
+        type: "object",
+        properties: Object.fromEntries(Object.entries(fields).map(([field, rule]) => [field, ruleToSchema(rule)])),
+        ...(required.length && { required })
+    }
+}
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}")
+
+const buildOperation = (method, path, tag, handlers) => {
+    const schema = Object.assign({}, ...handlers.filter((handle) => handle.schema).map((handle) => handle.schema))
+    const requiresAuth = handlers.includes(VerifyJWT)
+    const roles = handlers.filter((handle) => handle.roles).at(-1)?.roles
+    const limits = handlers.filter((handle) => handle.rateLimit).map((handle) => handle.rateLimit)
+    const rawBody = handlers.some((handle) => handle.name === "rawParser")
+
+    const pathParams = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => name)
+
+    const parameters = [
+        ...pathParams.map((name) => ({
+            name,
+            in: "path",
+            required: true,
+            schema: schema.params?.[name] ? ruleToSchema(schema.params[name]) : { type: "string" }
+        })),
+        ...Object.entries(schema.query || {}).map(([name, rule]) => ({
+            name,
+            in: "query",
+            required: Boolean(rule.required),
+            schema: ruleToSchema(rule)
+        }))
+    ]
+
+    const operation = {
+        tags: [tag],
+        operationId: `${method}${path.replace(/\{(\w+)\}/g, "By-$1").split(/[^a-zA-Z0-9]+/).filter(Boolean).slice(2)
+            .map((part) => part[0].toUpperCase() + part.slice(1)).join("")}`,
+        ...(parameters.length && { parameters })
+    }
+
+    if (schema.files) {
+        const formSchema = objectSchema({ ...schema.body, ...schema.files })
+        operation.requestBody = {
+            required: Boolean(formSchema.required),
+            content: {
+                "multipart/form-data": { schema: formSchema }
+            }
+        }
+    } else if (schema.body) {
+        const bodySchema = objectSchema(schema.body)
+        operation.requestBody = {
+            required: Boolean(bodySchema.required),
+            content: {
+                "application/json": { schema: bodySchema },
+                "application/x-www-form-urlencoded": { schema: bodySchema }
+            }
+        }
+    } else if (rawBody) {
+        operation.requestBody = {
+            required: true,
+            content: { "application/octet-stream": { schema: { type: "string", format: "binary" } } }
+        }
+    }
+
+    const descriptions = []
+
+    if (roles) descriptions.push(`Requires one of the roles: ${roles.join(", ")}.`)
+    if (limits.length) {
+        descriptions.push(`Rate limited: ${limits.map(({ max, windowMs }) => `${max} requests per ${windowMs / 60000} minutes`).join(", ")}.`)
+    }
+    if (descriptions.length) operation.description = descriptions.join(" ")
+
+    operation.security = requiresAuth ? [{ bearerAuth: [] }, { cookieAuth: [] }] : []
+
+    operation.responses = {
+        "2XX": RESPONSE_OVERRIDES[`${method.toUpperCase()} ${path}`] || {
+            description: "Success",
+            content: { "application/json": { schema: { $ref: "#/components/schemas/ApiResponse" } } }
+        },
+        ...((schema.params || schema.query || schema.body || schema.files) && { 400: errorResponse("Validation failed") }),
+        ...(requiresAuth && { 401: errorResponse("Missing, expired or revoked access token") }),
+        ...((requiresAuth || roles) && { 403: errorResponse("Account suspended, banned or pending deletion, or role not allowed") }),
+        ...(pathParams.length && { 404: errorResponse("Not found") }),
+        ...(limits.length && { 429: errorResponse("Too many requests, see the Retry-After header") }),
+        default: errorResponse("Unexpected error")
+    }
+
+    return operation
+}
+
+const collectPaths = (app) => {
+    const paths = {}
+
+    for (const entry of listRoutes(app)) {
+        const path = toOpenApiPath(entry.path)
+        const tag = (entry.basePath || entry.path).split("/").filter(Boolean).at(-1) || "root"
+
+        for (const method of entry.methods) {
+            paths[path] = paths[path] || {}
+            paths[path][method] = buildOperation(method, path, tag, getHandlers(entry, method))
+        }
+    }
+
+    return paths
+}
+
+let cachedDocument = null
+
+/**
+ * The OpenAPI document for every router mounted on `app`, built once on first use.
+ * @param {import("express").Express} app
+ */
+const getOpenApiDocument = (app) => {
+    if (!cachedDocument) {
+        const { version } = JSON.parse(fs.readFileSync("package.json", "utf8"))
+
+        cachedDocument = {
+            openapi: "3.0.3",
+            info: {
+                title: "VideoTube API",
+                version,
+                description: "Every JSON response is wrapped in ApiResponse on success and ApiError on failure. " +
+                    "Authenticated routes accept the access token as a bearer token or as the accessToken cookie. " +
+                    "On top of the limits listed per route, writes are limited to 300 requests per 15 minutes per IP."
+            },
+            servers: [{ url: "/" }],
+            paths: collectPaths(app),
+            components
+        }
+    }
+
+    return cachedDocument
+}
+
+export { getOpenApiDocument }
@@ -0,0 +1,43 @@
+/*
+ * Aggregation stages shared by several controllers.
+ */
+
+/**
+ * Joins the user referenced by `localField` into `as` (fullName, username, avatar) and drops
+ * documents whose user no longer exists or is pending deletion, so their content is hidden
+ * everywhere it is listed. `as` stays an array, flatten it with $first or $unwind.
+ * @param {{localField?: string, as?: string, exceptUserId?: import("mongoose").Types.ObjectId}} [options]
+ *  exceptUserId - a user who still sees their own content, e.g. the owner of a playlist
+ * @returns {Object[]}
+ */
+const activeOwnerStages = ({ localField = "owner", as = "owner", exceptUserId } = {}) => [
+    {
+        $lookup: {
+            from: "users",
+            localField,
+            foreignField: "_id",
+            as,
+            pipeline: [
+                {
+                    $match: exceptUserId
+                        ? { $or: [{ deletedAt: null }, { _id: exceptUserId }] }
+                        : { deletedAt: null }
+                },
+                {
+                    $project: {
+                        fullName: 1,
+                        username: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $match: {
+            [`${as}.0`]: { $exists: true }
+        }
+    }
+]
+
+export { activeOwnerStages }
@@ -0,0 +1,63 @@
+/**
+ * Counter store used by the rate limiter and the login lockout.
+ * Any object with the same async methods can be plugged in with setRateLimitStore
+ * (e.g. one backed by Redis when running more than one instance).
+ */
+class MemoryStore {
+    constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+        this.entries = new Map()
+        // drop expired keys now and then so the map doesn't grow forever
+        this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs)
+        this.sweeper.unref?.()
+    }
+
+    sweep() {
+        const now = Date.now()
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key)
+        }
+    }
+
+    /**
+     * Adds one hit to `key` in a fixed window of `windowMs`.
+     * @returns {Promise<{count: number, resetAt: number}>}
+     */
+    async increment(key, windowMs) {
+        const now = Date.now()
+        let entry = this.entries.get(key)
+
+        if (!entry || entry.expiresAt <= now) {
+            entry = { value: 0, expiresAt: now + windowMs }
+            this.entries.set(key, entry)
+        }
+
+        entry.value += 1
+
+        return { count: entry.value, resetAt: entry.expiresAt }
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key)
+        if (!entry || entry.expiresAt <= Date.now()) return undefined
+        return entry.value
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs })
+    }
+
+    async delete(key) {
+        this.entries.delete(key)
+    }
+}
+
+let store = new MemoryStore()
+
+const getRateLimitStore = () => store
+
+const setRateLimitStore = (newStore) => {
+    if (store instanceof MemoryStore) clearInterval(store.sweeper)
+    store = newStore
+}
+
+export { MemoryStore, getRateLimitStore, setRateLimitStore }
@@ -0,0 +1,81 @@
+/*
+ * Reads the route table back from an express app, for the API docs and the request metrics.
+ * Only plain string mount paths are supported, which is all app.js uses.
+ */
+
+const METHODS = ["get", "post", "put", "patch", "delete"]
+
+// "/api/v1/users" back from the regexp express compiled for app.use("/api/v1/users", router)
+const getMountPath = (layer) => layer.regexp.source
+    .replace(/^\^/, "")
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, "")
+    .replace(/\\\//g, "/")
+
+const joinPath = (basePath, routePath) => `${basePath}${routePath === "/" && basePath ? "" : routePath}`
+
+// Handlers that run for `method` on a route, in order, including the router.use() ones before it
+const getHandlers = (entry, method) => [
+    ...entry.routerHandlers,
+    ...entry.route.stack.filter((layer) => layer.method === method).map((layer) => layer.handle)
+]
+
+/**
+ * Every route registered on the app or on a router mounted on it.
+ * @param {import("express").Express} app
+ * @returns {Array<{path: string, basePath: string, route: Object, methods: string[], routerHandlers: Function[]}>}
+ */
+const listRoutes = (app) => {
+    const routes = []
+
+    const addRoute = (layer, basePath, routerHandlers) => {
+        routes.push({
+            path: joinPath(basePath, layer.route.path),
+            basePath,
+            route: layer.route,
+            methods: METHODS.filter((method) => layer.route.methods[method]),
+            routerHandlers: [...routerHandlers]
+        })
+    }
+
+    for (const mount of app._router?.stack || []) {
+        if (mount.route) {
+            addRoute(mount, "", [])
+            continue
+        }
+
+        if (mount.name !== "router") continue
+
+        const basePath = getMountPath(mount)
+        // router.use() middleware applies to every route registered after it
+        const routerHandlers = []
+
+        for (const layer of mount.handle.stack) {
+            if (layer.route) {
+                addRoute(layer, basePath, routerHandlers)
+            } else {
+                routerHandlers.push(layer.handle)
+            }
+        }
+    }
+
+    return routes
+}
+
+let routePaths = null
+
+/**
+ * The full path pattern of the route that handled the request, e.g. "/api/v1/videos/:videoId",
+ * or null when no route matched. Bounded, so it's safe as a metrics label.
+ */
+const getRoutePattern = (req) => {
+    if (!req.route) return null
+
+    // req.baseUrl is already reset when an error left the router, so look the route up instead
+    if (!routePaths) {
+        routePaths = new WeakMap(listRoutes(req.app).map(({ route, path }) => [route, path]))
+    }
+
+    return routePaths.get(req.route) || req.route.path
+}
+
+export { listRoutes, getHandlers, getRoutePattern }
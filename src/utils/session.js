@@ -0,0 +1,136 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import { Session } from "../models/session.model.js"
+import { User } from "../models/user.model.js"
+import { ApiError } from "./ApiError.js"
+import { ERROR_CODES } from "../constants.js"
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+const getClientInfo = (req) => ({
+    userAgent: (req.get("user-agent") || "").slice(0, 512),
+    ip: req.ip || ""
+})
+
+// Each refresh token gets its own id so two tokens of the same session never hash the same
+const signTokens = (user, sessionId) => {
+    const accessToken = user.generateAccessToken(sessionId)
+    const refreshToken = user.generateRefreshToken(sessionId, crypto.randomUUID())
+    const { exp } = jwt.decode(refreshToken)
+
+    return {
+        accessToken,
+        refreshToken,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: new Date(exp * 1000)
+    }
+}
+
+/**
+ * Starts a new device session for the user.
+ * @returns {Promise<{accessToken: string, refreshToken: string, session: Object}>}
+ */
+const createSession = async (user, req) => {
+    const session = new Session({
+        user: user._id,
+        ...getClientInfo(req)
+    })
+
+    const { accessToken, refreshToken, tokenHash, expiresAt } = signTokens(user, session._id)
+
+    session.tokenHash = tokenHash
+    session.expiresAt = expiresAt
+    await session.save()
+
+    return { accessToken, refreshToken, session }
+}
+
+/**
+ * Throws when the user is banned or still suspended, such accounts get no tokens of any kind.
+ * Suspensions lift by themselves once suspendedUntil has passed.
+ */
+const assertAccountActive = (user) => {
+    if (user.status === "banned") {
+        throw new ApiError(403, "ACCOUNT HAS BEEN BANNED", [], "", ERROR_CODES.ACCOUNT_BANNED)
+    }
+
+    if (user.status === "suspended" && (!user.suspendedUntil || user.suspendedUntil > new Date())) {
+        throw new ApiError(
+            403,
+            user.suspendedUntil
+                ? `ACCOUNT IS SUSPENDED UNTIL ${user.suspendedUntil.toISOString()}`
+                : "ACCOUNT IS SUSPENDED",
+            [],
+            "",
+            ERROR_CODES.ACCOUNT_SUSPENDED
+        )
+    }
+}
+
+const revokeSessions = async (filter, reason) => {
+    return await Session.updateMany(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    )
+}
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair.
+ * A token that isn't the session's current one has been used before, so the session is revoked.
+ * @returns {Promise<{accessToken: string, refreshToken: string, session: Object}>}
+ */
+const rotateSession = async (incomingRefreshToken, req) => {
+    // jwt errors (expired, malformed) are mapped to 401 by the error middleware
+    const decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET)
+
+    const session = decodedToken?.sid ? await Session.findById(decodedToken.sid) : null
+
+    if (!session || session.user.toString() !== decodedToken._id) {
+        throw new ApiError(401, "Invalid refresh token. Please log in again.", [], "", ERROR_CODES.AUTH_TOKEN_INVALID)
+    }
+
+    if (!session.isActive()) {
+        throw new ApiError(401, "Session has ended. Please log in again.", [], "", ERROR_CODES.AUTH_SESSION_REVOKED)
+    }
+
+    const incomingHash = hashToken(incomingRefreshToken)
+
+    if (session.tokenHash !== incomingHash) {
+        await revokeSessions({ _id: session._id }, "token-reuse")
+        throw new ApiError(401, "Refresh token reuse detected. Please log in again.", [], "", ERROR_CODES.AUTH_TOKEN_REUSED)
+    }
+
+    const user = await User.findById(session.user)
+
+    if (!user) {
+        throw new ApiError(401, "User not found. Please log in again.", [], "", ERROR_CODES.AUTH_TOKEN_INVALID)
+    }
+
+    assertAccountActive(user)
+
+    const { accessToken, refreshToken, tokenHash, expiresAt } = signTokens(user, session._id)
+
+    // Matching on the old hash means two concurrent refreshes can't both rotate,
+    // the loser is treated as a replay
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: incomingHash, revokedAt: null },
+        {
+            $set: {
+                tokenHash,
+                expiresAt,
+                lastUsedAt: new Date(),
+                ...getClientInfo(req)
+            }
+        },
+        { new: true }
+    )
+
+    if (!rotated) {
+        await revokeSessions({ _id: session._id }, "token-reuse")
+        throw new ApiError(401, "Refresh token reuse detected. Please log in again.", [], "", ERROR_CODES.AUTH_TOKEN_REUSED)
+    }
+
+    return { accessToken, refreshToken, session: rotated }
+}
+
+export { assertAccountActive, createSession, rotateSession, revokeSessions }
@@ -0,0 +1,70 @@
+import { disconnectDB } from "../db/index.js"
+import { appEvents, EVENTS } from "./events.js"
+import { stopFeedScoring } from "./feedRanking.js"
+import { stopUploadCleanup } from "./uploadSessions.js"
+import { stopAccountPurge } from "./accountDeletion.js"
+import { stopDataExports } from "./dataExport.js"
+import { removeStaleTempFiles } from "./tempFiles.js"
+import { logger } from "./logger.js"
+
+// read lazily, on first use rather than at import
+const getShutdownTimeoutMs = () => (Number(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 25) * 1000
+
+let shuttingDown = false
+
+// readiness reports not ready from the moment shutdown starts, so load balancers stop routing here
+const isShuttingDown = () => shuttingDown
+
+// Resolves once every connection ended, or after timeoutMs with the remaining ones cut off
+const closeServer = (server, timeoutMs) => new Promise((resolve) => {
+    if (!server?.listening) return resolve(true)
+
+    const timer = setTimeout(() => {
+        logger.warn("Shutdown timeout reached, closing remaining connections", { timeoutMs })
+        server.closeAllConnections()
+        resolve(false)
+    }, timeoutMs)
+    timer.unref?.()
+
+    // stops accepting, in-flight requests finish, idle keep-alive connections are dropped
+    server.close(() => {
+        clearTimeout(timer)
+        resolve(true)
+    })
+    server.closeIdleConnections()
+})
+
+/**
+ * Stops the app: refuses new connections, lets in-flight requests finish within
+ * SHUTDOWN_TIMEOUT_SECONDS, stops the background jobs, closes MongoDB and removes upload temp files.
+ * Chunks of unfinished uploads are kept so they can be resumed after the restart.
+ * @param {import("http").Server} [server]
+ * @returns {Promise<void>}
+ */
+const shutdown = async (server, reason) => {
+    if (shuttingDown) return
+    shuttingDown = true
+
+    logger.info("Shutting down", { reason })
+
+    stopFeedScoring()
+    stopUploadCleanup()
+    stopAccountPurge()
+    stopDataExports()
+
+    appEvents.emit(EVENTS.SERVER_SHUTDOWN)
+
+    const drained = await closeServer(server, getShutdownTimeoutMs())
+
+    try {
+        await disconnectDB()
+    } catch (error) {
+        logger.error("Closing MongoDB failed", { error })
+    }
+
+    const removed = await removeStaleTempFiles(0)
+
+    logger.info("Shutdown complete", { drained, removedTempFiles: removed })
+}
+
+export { isShuttingDown, shutdown }
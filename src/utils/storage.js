@@ -0,0 +1,101 @@
+import { cloudinaryDriver } from "./cloudinary.js"
+import { localDiskDriver } from "./localDisk.js"
+import { ApiError } from "./ApiError.js"
+
+const drivers = {
+    [cloudinaryDriver.name]: cloudinaryDriver,
+    [localDiskDriver.name]: localDiskDriver
+}
+
+// STORAGE_DRIVER picks the backend (cloudinary by default), read on every call
+// so it always reflects the loaded .env
+const getStorageDriver = () => {
+    const name = process.env.STORAGE_DRIVER || cloudinaryDriver.name
+    const driver = drivers[name]
+
+    if (!driver) {
+        throw new ApiError(500, `UNKNOWN STORAGE DRIVER "${name}"`)
+    }
+
+    return driver
+}
+
+/**
+ * Moves a temp file into media storage. The temp file is always removed.
+ * @param {string} localFilePath - path written by the multer middleware
+ * @param {{resourceType?: "image" | "video" | "auto"}} [options]
+ * @returns {Promise<{url: string, assetId: string, resourceType: string, duration?: number, bytes?: number} | null>}
+ */
+const uploadFile = async (localFilePath, options) => {
+    if (!localFilePath) return null
+    return await getStorageDriver().upload(localFilePath, options)
+}
+
+/**
+ * Removes a stored asset. Missing ids are ignored so legacy documents without one are safe.
+ * @param {string} assetId
+ * @param {{resourceType?: "image" | "video"}} [options]
+ */
+const deleteFile = async (assetId, options) => {
+    if (!assetId) return null
+    return await getStorageDriver().remove(assetId, options)
+}
+
+/**
+ * @param {string} assetId
+ * @param {{resourceType?: "image" | "video"}} [options]
+ * @returns {string}
+ */
+const getPublicUrl = (assetId, options) => getStorageDriver().getPublicUrl(assetId, options)
+
+/**
+ * Url of a single frame of a stored video, for backends that can render one on the fly.
+ * @param {string} assetId
+ * @param {number} seconds
+ * @returns {string | null} null when the backend can't
+ */
+const getVideoFrameUrl = (assetId, seconds) => {
+    const driver = getStorageDriver()
+    return driver.getVideoFrameUrl ? driver.getVideoFrameUrl(assetId, seconds) : null
+}
+
+// cloudinary's admin api is rate limited, so a frequently polled readiness check reuses the last result
+const HEALTH_CACHE_MS = 60 * 1000
+const HEALTH_TIMEOUT_MS = 5 * 1000
+
+let lastHealth = null
+
+/**
+ * Whether the storage backend is reachable, cached for HEALTH_CACHE_MS.
+ * @returns {Promise<{ok: boolean, driver: string, error?: string}>}
+ */
+const checkStorageHealth = async () => {
+    const driver = getStorageDriver()
+
+    if (lastHealth && lastHealth.driver === driver.name && lastHealth.checkedAt > Date.now() - HEALTH_CACHE_MS) {
+        return lastHealth.result
+    }
+
+    let timer
+    let result
+
+    try {
+        await Promise.race([
+            driver.checkHealth?.(),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error("storage health check timed out")), HEALTH_TIMEOUT_MS)
+            })
+        ])
+        result = { ok: true, driver: driver.name }
+    } catch (error) {
+        result = { ok: false, driver: driver.name, error: error?.message || error?.error?.message || "unreachable" }
+    } finally {
+        clearTimeout(timer)
+    }
+
+    lastHealth = { driver: driver.name, checkedAt: Date.now(), result }
+
+    return result
+}
+
+export { uploadFile, deleteFile, getPublicUrl, getVideoFrameUrl, getStorageDriver, checkStorageHealth }
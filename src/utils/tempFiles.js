@@ -0,0 +1,59 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+
+// Where multer and the chunked uploads write files before they go to media storage
+const TEMP_DIR = path.join("public", "temp")
+const CHUNKS_DIR = path.join(TEMP_DIR, "chunks")
+
+// <timestamp>-<uuid><ext>, anything else in the temp folder isn't ours to delete
+const GENERATED_NAME = /^\d+-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(\.[a-z0-9]{1,10})?$/
+
+/**
+ * Unique temp file name that keeps the (sanitized) extension of the original name,
+ * so two uploads of "video.mp4" never end up in the same file.
+ * @param {string} [originalName]
+ */
+const createTempFileName = (originalName = "") => {
+    const extension = path.extname(originalName).toLowerCase()
+    const safeExtension = /^\.[a-z0-9]{1,10}$/.test(extension) ? extension : ""
+    return `${Date.now()}-${crypto.randomUUID()}${safeExtension}`
+}
+
+const createTempFilePath = (originalName) => path.join(TEMP_DIR, createTempFileName(originalName))
+
+const getChunksDir = (uploadId) => path.join(CHUNKS_DIR, String(uploadId))
+
+/**
+ * Deletes generated temp files older than `maxAgeMs`, e.g. left behind by a crashed request.
+ * Pass 0 to delete every generated temp file.
+ * @returns {Promise<number>} number of files removed
+ */
+const removeStaleTempFiles = async (maxAgeMs) => {
+    const entries = await fs.promises.readdir(TEMP_DIR, { withFileTypes: true }).catch(() => [])
+    const cutoff = Date.now() - maxAgeMs
+    let removed = 0
+
+    for (const entry of entries) {
+        if (!entry.isFile() || !GENERATED_NAME.test(entry.name)) continue
+
+        const filePath = path.join(TEMP_DIR, entry.name)
+        const stats = await fs.promises.stat(filePath).catch(() => null)
+
+        if (stats && stats.mtimeMs <= cutoff) {
+            await fs.promises.rm(filePath, { force: true })
+            removed += 1
+        }
+    }
+
+    return removed
+}
+
+export {
+    TEMP_DIR,
+    CHUNKS_DIR,
+    createTempFileName,
+    createTempFilePath,
+    getChunksDir,
+    removeStaleTempFiles
+}
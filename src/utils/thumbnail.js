@@ -0,0 +1,47 @@
+import fs from "fs"
+import { spawn } from "child_process"
+import { createTempFilePath } from "./tempFiles.js"
+
+const FFMPEG_TIMEOUT_MS = 30 * 1000
+
+/**
+ * Where to grab the automatic thumbnail: a quarter into the video skips black intros,
+ * and very short clips still get a frame before their end.
+ * @param {number} duration - seconds
+ */
+const pickThumbnailTime = (duration) =>
+    Math.round(Math.min(duration * 0.25, Math.max(duration - 1, 0)) * 1000) / 1000
+
+/**
+ * Writes one frame of a local video to a jpg temp file with ffmpeg (FFMPEG_PATH, or ffmpeg on the PATH).
+ * @returns {Promise<string | null>} the jpg path, null when ffmpeg is missing or fails
+ */
+const extractVideoFrame = (videoPath, atSeconds) => new Promise((resolve) => {
+    const output = createTempFilePath("frame.jpg")
+    let settled = false
+
+    const finish = async (succeeded) => {
+        if (settled) return
+        settled = true
+        clearTimeout(timer)
+
+        if (succeeded && fs.existsSync(output)) return resolve(output)
+
+        await fs.promises.rm(output, { force: true })
+        resolve(null)
+    }
+
+    const ffmpeg = spawn(
+        process.env.FFMPEG_PATH || "ffmpeg",
+        ["-v", "error", "-ss", String(atSeconds), "-i", videoPath, "-frames:v", "1", "-q:v", "3", "-y", output],
+        { stdio: "ignore" }
+    )
+
+    const timer = setTimeout(() => ffmpeg.kill("SIGKILL"), FFMPEG_TIMEOUT_MS)
+
+    // "error" means ffmpeg couldn't be started at all, e.g. it isn't installed
+    ffmpeg.on("error", () => finish(false))
+    ffmpeg.on("close", (code) => finish(code === 0))
+})
+
+export { pickThumbnailTime, extractVideoFrame }
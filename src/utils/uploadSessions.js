@@ -0,0 +1,348 @@
+import fs from "fs"
+import path from "path"
+import crypto from "crypto"
+import { once } from "events"
+import { UploadSession } from "../models/uploadSession.model.js"
+import { ApiError } from "./ApiError.js"
+import { deleteFile } from "./storage.js"
+import { probeVideo } from "./mediaProbe.js"
+import { ingestVideo } from "./videoIngest.js"
+import { CHUNKS_DIR, createTempFilePath, getChunksDir, removeStaleTempFiles } from "./tempFiles.js"
+import { logger } from "./logger.js"
+
+const MB = 1024 * 1024
+
+const MIN_CHUNK_SIZE = 1 * MB
+const MAX_CHUNK_SIZE = 50 * MB
+const DEFAULT_CHUNK_SIZE = 8 * MB
+
+// an upload (or a completed but never published one) expires this long after its last activity
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000
+// complete can take a while for big files, a crashed run frees the session after this
+const ASSEMBLY_TIMEOUT_MS = 60 * 60 * 1000
+const MAX_ACTIVE_SESSIONS = 5
+
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000
+// multer temp files are normally gone within a request, anything this old was orphaned
+const STALE_TEMP_FILE_MS = 6 * 60 * 60 * 1000
+
+// read lazily, on first use rather than at import
+const getMaxUploadSize = () => (Number(process.env.MAX_UPLOAD_MB) || 2048) * MB
+
+const getChunkPath = (uploadId, index) => path.join(getChunksDir(uploadId), String(index))
+
+// Size a given chunk must have, only the last one may be shorter
+const expectedChunkSize = (session, index) =>
+    index === session.totalChunks - 1
+        ? session.totalSize - session.chunkSize * (session.totalChunks - 1)
+        : session.chunkSize
+
+/**
+ * Received chunks as merged, inclusive byte ranges plus the chunk numbers still missing.
+ * @returns {{ranges: Array<{start: number, end: number}>, missingChunks: number[]}}
+ */
+const getReceivedRanges = (session) => {
+    const received = new Set(session.receivedChunks)
+    const ranges = []
+    const missingChunks = []
+
+    for (let index = 0; index < session.totalChunks; index++) {
+        if (!received.has(index)) {
+            missingChunks.push(index)
+            continue
+        }
+
+        const start = index * session.chunkSize
+        const end = start + expectedChunkSize(session, index) - 1
+        const last = ranges[ranges.length - 1]
+
+        if (last && last.end + 1 === start) {
+            last.end = end
+        } else {
+            ranges.push({ start, end })
+        }
+    }
+
+    return { ranges, missingChunks }
+}
+
+const createUploadSession = async (ownerId, { fileName, mimeType, totalSize, chunkSize = DEFAULT_CHUNK_SIZE, checksum }) => {
+    if (totalSize > getMaxUploadSize()) {
+        throw new ApiError(413, `FILE MUST BE AT MOST ${getMaxUploadSize() / MB} MB`)
+    }
+
+    const activeSessions = await UploadSession.countDocuments({
+        owner: ownerId,
+        status: { $in: ["uploading", "assembling"] }
+    })
+
+    if (activeSessions >= MAX_ACTIVE_SESSIONS) {
+        throw new ApiError(429, "TOO MANY UPLOADS IN PROGRESS, FINISH OR CANCEL ONE FIRST")
+    }
+
+    const session = await UploadSession.create({
+        owner: ownerId,
+        fileName,
+        mimeType,
+        totalSize,
+        chunkSize,
+        totalChunks: Math.ceil(totalSize / chunkSize),
+        checksum: checksum.toLowerCase(),
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    })
+
+    await fs.promises.mkdir(getChunksDir(session._id), { recursive: true })
+
+    return session
+}
+
+/**
+ * Stores one chunk. Re-sending a chunk overwrites it, so a client can simply retry.
+ * @param {Buffer} data
+ */
+const saveChunk = async (session, index, data) => {
+    if (session.status !== "uploading") {
+        throw new ApiError(409, "UPLOAD IS NOT ACCEPTING CHUNKS")
+    }
+
+    if (index >= session.totalChunks) {
+        throw new ApiError(400, `CHUNK INDEX MUST BE BELOW ${session.totalChunks}`)
+    }
+
+    const expectedSize = expectedChunkSize(session, index)
+
+    if (!Buffer.isBuffer(data) || data.length !== expectedSize) {
+        throw new ApiError(400, `CHUNK ${index} MUST BE EXACTLY ${expectedSize} BYTES`)
+    }
+
+    // write next to the final name and rename, so a half written chunk is never picked up
+    const chunkPath = getChunkPath(session._id, index)
+    await fs.promises.mkdir(getChunksDir(session._id), { recursive: true })
+    await fs.promises.writeFile(`${chunkPath}.part`, data)
+    await fs.promises.rename(`${chunkPath}.part`, chunkPath)
+
+    return await UploadSession.findByIdAndUpdate(
+        session._id,
+        {
+            $addToSet: { receivedChunks: index },
+            $set: { expiresAt: new Date(Date.now() + SESSION_TTL_MS) }
+        },
+        { new: true }
+    )
+}
+
+// Concatenates the chunks into one uniquely named temp file, hashing while writing
+const assembleChunks = async (session) => {
+    const filePath = createTempFilePath(session.fileName)
+    const hash = crypto.createHash("sha256")
+    const output = fs.createWriteStream(filePath)
+
+    try {
+        for (let index = 0; index < session.totalChunks; index++) {
+            for await (const data of fs.createReadStream(getChunkPath(session._id, index))) {
+                hash.update(data)
+                if (!output.write(data)) await once(output, "drain")
+            }
+        }
+
+        output.end()
+        await once(output, "finish")
+    } catch (error) {
+        output.destroy()
+        await fs.promises.rm(filePath, { force: true })
+        throw error
+    }
+
+    return { filePath, checksum: hash.digest("hex") }
+}
+
+// Size, checksum and real file type must all match what was declared at initiate,
+// and the file has to be a readable video. Returns the probed metadata.
+const verifyAssembledFile = async (session, { filePath, checksum }) => {
+    const { size } = await fs.promises.stat(filePath)
+
+    if (size !== session.totalSize) {
+        throw new ApiError(422, "ASSEMBLED FILE SIZE DOES NOT MATCH TOTALSIZE")
+    }
+
+    if (checksum !== session.checksum) {
+        throw new ApiError(422, "CHECKSUM MISMATCH, RE-SEND THE CHUNKS AND TRY AGAIN")
+    }
+
+    const metadata = await probeVideo(filePath)
+
+    if (metadata.mimeType !== session.mimeType) {
+        throw new ApiError(415, `FILE CONTENT IS ${metadata.mimeType}, NOT ${session.mimeType}`)
+    }
+
+    return metadata
+}
+
+/**
+ * Assembles and verifies the file, then hands it to media storage.
+ * A failed check puts the session back to uploading so chunks can be re-sent.
+ */
+const completeUploadSession = async (uploadId, ownerId) => {
+    // only one complete can run per session
+    const session = await UploadSession.findOneAndUpdate(
+        { _id: uploadId, owner: ownerId, status: "uploading" },
+        { $set: { status: "assembling", expiresAt: new Date(Date.now() + ASSEMBLY_TIMEOUT_MS) } },
+        { new: true }
+    )
+
+    if (!session) {
+        const existing = await UploadSession.findOne({ _id: uploadId, owner: ownerId })
+
+        if (!existing) {
+            throw new ApiError(404, "UPLOAD NOT FOUND")
+        }
+
+        throw new ApiError(409, existing.status === "completed" ? "UPLOAD IS ALREADY COMPLETE" : "UPLOAD IS ALREADY BEING COMPLETED")
+    }
+
+    const reopen = () => UploadSession.updateOne(
+        { _id: session._id },
+        { $set: { status: "uploading", expiresAt: new Date(Date.now() + SESSION_TTL_MS) } }
+    )
+
+    const { missingChunks } = getReceivedRanges(session)
+
+    if (missingChunks.length) {
+        await reopen()
+        throw new ApiError(409, "UPLOAD IS MISSING CHUNKS", [
+            { field: "chunks", location: "params", message: `chunks not received yet: ${missingChunks.join(", ")}` }
+        ])
+    }
+
+    let assembled
+    let metadata
+
+    try {
+        assembled = await assembleChunks(session)
+        metadata = await verifyAssembledFile(session, assembled)
+    } catch (error) {
+        if (assembled) await fs.promises.rm(assembled.filePath, { force: true })
+        await reopen()
+        throw error
+    }
+
+    let ingested
+
+    try {
+        // the thumbnail is made up front, publishing without one then costs nothing extra
+        ingested = await ingestVideo(assembled.filePath, { createThumbnail: true, metadata })
+    } catch (error) {
+        await reopen()
+        throw error
+    }
+
+    await fs.promises.rm(getChunksDir(session._id), { recursive: true, force: true })
+
+    return await UploadSession.findByIdAndUpdate(
+        session._id,
+        {
+            $set: {
+                status: "completed",
+                asset: ingested.asset,
+                metadata: ingested.metadata,
+                thumbnail: ingested.thumbnail,
+                receivedChunks: [],
+                expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+            }
+        },
+        { new: true }
+    )
+}
+
+/**
+ * Takes a completed upload for a new video. The session is removed so it can only be used once.
+ * @returns {Promise<{asset: Object, metadata: Object, thumbnail: Object | null}>} same shape as ingestVideo
+ */
+const claimCompletedUpload = async (uploadId, ownerId) => {
+    const session = await UploadSession.findOneAndDelete({
+        _id: uploadId,
+        owner: ownerId,
+        status: "completed"
+    })
+
+    if (!session) {
+        throw new ApiError(404, "COMPLETED UPLOAD NOT FOUND")
+    }
+
+    const { asset, metadata, thumbnail } = session.toObject()
+
+    return { asset, metadata, thumbnail: thumbnail?.url ? thumbnail : null }
+}
+
+// Drops the session with its chunks, and the stored file if it was completed but never used
+const discardUploadSession = async (session) => {
+    await UploadSession.deleteOne({ _id: session._id })
+    await fs.promises.rm(getChunksDir(session._id), { recursive: true, force: true })
+
+    if (session.status === "completed") {
+        await deleteFile(session.asset?.assetId, { resourceType: "video" })
+        await deleteFile(session.thumbnail?.assetId, { resourceType: "image" })
+    }
+}
+
+const cleanupUploads = async () => {
+    const expired = await UploadSession.find({ expiresAt: { $lte: new Date() } })
+
+    for (const session of expired) {
+        await discardUploadSession(session)
+    }
+
+    // chunk folders whose session no longer exists, e.g. after a crash mid cleanup
+    const folders = await fs.promises.readdir(CHUNKS_DIR, { withFileTypes: true }).catch(() => [])
+    const folderIds = folders.filter((entry) => entry.isDirectory()).map((entry) => entry.name)
+    const liveIds = new Set(
+        (await UploadSession.find({ _id: { $in: folderIds.filter((id) => /^[0-9a-f]{24}$/.test(id)) } }).distinct("_id"))
+            .map(String)
+    )
+
+    for (const id of folderIds) {
+        if (!liveIds.has(id)) {
+            await fs.promises.rm(path.join(CHUNKS_DIR, id), { recursive: true, force: true })
+        }
+    }
+
+    await removeStaleTempFiles(STALE_TEMP_FILE_MS)
+}
+
+let cleanupTimer = null
+
+/**
+ * Removes expired upload sessions, orphaned chunk folders and stale temp files periodically.
+ * @returns {() => void} stops the cleanup timer
+ */
+const startUploadCleanup = () => {
+    const run = () => cleanupUploads().catch((error) => {
+        logger.error("Upload cleanup failed", { error })
+    })
+
+    run()
+    cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS)
+    cleanupTimer.unref?.()
+
+    return stopUploadCleanup
+}
+
+const stopUploadCleanup = () => {
+    clearInterval(cleanupTimer)
+    cleanupTimer = null
+}
+
+export {
+    MIN_CHUNK_SIZE,
+    MAX_CHUNK_SIZE,
+    DEFAULT_CHUNK_SIZE,
+    getReceivedRanges,
+    createUploadSession,
+    saveChunk,
+    completeUploadSession,
+    claimCompletedUpload,
+    discardUploadSession,
+    cleanupUploads,
+    startUploadCleanup,
+    stopUploadCleanup
+}
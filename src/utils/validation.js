@@ -0,0 +1,183 @@
+import { isValidObjectId } from "mongoose";
+
+/*
+ * Field rules are plain objects so they can be read back when documenting routes.
+ * Every builder accepts { required, default, description } plus its own options.
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const string = (options = {}) => ({ type: "string", trim: true, ...options })
+
+const email = (options = {}) => ({
+    type: "string",
+    format: "email",
+    trim: true,
+    lowercase: true,
+    max: 254,
+    ...options
+})
+
+// At least 8 characters with a letter and a number
+const password = (options = {}) => ({
+    type: "string",
+    format: "password",
+    trim: false,
+    min: 8,
+    max: 128,
+    pattern: /^(?=.*[A-Za-z])(?=.*\d).+$/,
+    patternMessage: "must contain at least one letter and one number",
+    ...options
+})
+
+const number = (options = {}) => ({ type: "number", ...options })
+
+const integer = (options = {}) => ({ type: "integer", ...options })
+
+const boolean = (options = {}) => ({ type: "boolean", ...options })
+
+const objectId = (options = {}) => ({ type: "objectId", ...options })
+
+const date = (options = {}) => ({ type: "date", ...options })
+
+const oneOf = (values, options = {}) => ({ type: "enum", values, ...options })
+
+// Multipart file fields, checked against what multer stored in req.file / req.files
+const file = (options = {}) => ({ type: "file", maxCount: 1, ...options })
+
+const coerce = (rule, raw) => {
+    switch (rule.type) {
+        case "string": {
+            if (typeof raw !== "string" && typeof raw !== "number") return { error: "must be a string" }
+            let value = String(raw)
+            if (rule.trim) value = value.trim()
+            if (rule.lowercase) value = value.toLowerCase()
+            // strip control characters that have no business in user supplied text
+            value = value.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, "")
+            if (rule.min !== undefined && value.length < rule.min) return { error: `must be at least ${rule.min} characters` }
+            if (rule.max !== undefined && value.length > rule.max) return { error: `must be at most ${rule.max} characters` }
+            if (rule.format === "email" && !EMAIL_REGEX.test(value)) return { error: "must be a valid email address" }
+            if (rule.pattern && !rule.pattern.test(value)) return { error: rule.patternMessage || "has an invalid format" }
+            return { value }
+        }
+        case "number":
+        case "integer": {
+            const value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw
+            if (typeof value !== "number" || !Number.isFinite(value)) return { error: "must be a number" }
+            if (rule.type === "integer" && !Number.isInteger(value)) return { error: "must be an integer" }
+            if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` }
+            if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` }
+            return { value }
+        }
+        case "boolean": {
+            if (typeof raw === "boolean") return { value: raw }
+            if (raw === "true" || raw === "1") return { value: true }
+            if (raw === "false" || raw === "0") return { value: false }
+            return { error: "must be true or false" }
+        }
+        case "objectId": {
+            if (typeof raw !== "string" || !isValidObjectId(raw)) return { error: "must be a valid id" }
+            return { value: raw }
+        }
+        case "date": {
+            const value = new Date(raw)
+            if (typeof raw === "object" || isNaN(value.getTime())) return { error: "must be a valid date" }
+            return { value }
+        }
+        case "enum": {
+            if (!rule.values.includes(raw)) return { error: `must be one of ${rule.values.join(", ")}` }
+            return { value: raw }
+        }
+        default:
+            return { value: raw }
+    }
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === ""
+
+/**
+ * Validates and sanitizes `input` against a schema of field rules.
+ * Unknown fields are dropped so they can never reach a query or an update.
+ * @param {Object<string, Object>} schema
+ * @param {Object} input
+ * @param {string} location - body, params or query, reported with each error
+ * @returns {{value: Object, errors: Array<{field: string, location: string, message: string}>}}
+ */
+const validateSchema = (schema, input = {}, location) => {
+    const value = {}
+    const errors = []
+
+    for (const [field, rule] of Object.entries(schema)) {
+        let raw = input?.[field]
+
+        if (typeof raw === "string" && rule.trim !== false && raw.trim() === "") {
+            raw = ""
+        }
+
+        if (isEmpty(raw)) {
+            if (rule.required) {
+                errors.push({ field, location, message: `${field} is required` })
+            } else if (rule.default !== undefined) {
+                value[field] = rule.default
+            }
+            continue
+        }
+
+        const result = coerce(rule, raw)
+
+        if (result.error) {
+            errors.push({ field, location, message: `${field} ${result.error}` })
+        } else {
+            value[field] = result.value
+        }
+    }
+
+    return { value, errors }
+}
+
+/**
+ * Checks the files multer accepted for each declared file field.
+ * @param {Object<string, Object>} schema
+ * @param {Object} req
+ * @returns {Array<{field: string, location: string, message: string}>}
+ */
+const validateFiles = (schema, req) => {
+    const errors = []
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const files = req.files?.[field] || (req.file?.fieldname === field ? [req.file] : [])
+
+        if (!files.length) {
+            if (rule.required) {
+                errors.push({ field, location: "files", message: `${field} is required` })
+            }
+            continue
+        }
+
+        for (const uploaded of files) {
+            if (rule.mimeTypes && !rule.mimeTypes.some((type) => uploaded.mimetype?.startsWith(type))) {
+                errors.push({ field, location: "files", message: `${field} must be of type ${rule.mimeTypes.join(", ")}` })
+            }
+            if (rule.maxSize && uploaded.size > rule.maxSize) {
+                errors.push({ field, location: "files", message: `${field} must be at most ${rule.maxSize} bytes` })
+            }
+        }
+    }
+
+    return errors
+}
+
+export const t = {
+    string,
+    email,
+    password,
+    number,
+    integer,
+    boolean,
+    objectId,
+    date,
+    oneOf,
+    file
+}
+
+export { validateSchema, validateFiles }
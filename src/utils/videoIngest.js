@@ -0,0 +1,48 @@
+import fs from "fs"
+import { ApiError } from "./ApiError.js"
+import { uploadFile, getVideoFrameUrl } from "./storage.js"
+import { probeVideo } from "./mediaProbe.js"
+import { pickThumbnailTime, extractVideoFrame } from "./thumbnail.js"
+
+/**
+ * Probes a local video, moves it to media storage and, when asked, makes a thumbnail from one
+ * of its frames: extracted with ffmpeg when available, otherwise derived by the storage backend.
+ * The local file is always removed.
+ * @param {string} localPath
+ * @param {{createThumbnail?: boolean, metadata?: Object}} [options] - pass metadata when the file was probed already
+ * @returns {Promise<{asset: Object, metadata: Object, thumbnail: {url: string, assetId?: string} | null}>}
+ */
+const ingestVideo = async (localPath, { createThumbnail = false, metadata } = {}) => {
+    try {
+        metadata ||= await probeVideo(localPath)
+    } catch (error) {
+        await fs.promises.rm(localPath, { force: true })
+        throw error
+    }
+
+    const thumbnailTime = pickThumbnailTime(metadata.duration)
+
+    // the frame has to be taken before storage moves the video away
+    const framePath = createThumbnail ? await extractVideoFrame(localPath, thumbnailTime) : null
+
+    const asset = await uploadFile(localPath, { resourceType: "video" })
+
+    if (!asset?.url) {
+        if (framePath) await fs.promises.rm(framePath, { force: true })
+        throw new ApiError(500, "VIDEO UPLOAD FAILED")
+    }
+
+    let thumbnail = null
+
+    if (framePath) {
+        const image = await uploadFile(framePath, { resourceType: "image" })
+        if (image?.url) thumbnail = { url: image.url, assetId: image.assetId }
+    } else if (createThumbnail) {
+        const url = getVideoFrameUrl(asset.assetId, thumbnailTime)
+        if (url) thumbnail = { url }
+    }
+
+    return { asset, metadata, thumbnail }
+}
+
+export { ingestVideo }
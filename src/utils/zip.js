@@ -0,0 +1,148 @@
+import fs from "fs"
+import zlib from "zlib"
+import { pipeline } from "stream/promises"
+
+// CRC-32 as used by zip (polynomial 0xEDB88320), only for Node versions without zlib.crc32
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    }
+    return c >>> 0
+})
+
+/**
+ * Continues a CRC-32 over one more chunk, start with 0.
+ * @param {Buffer} buffer
+ * @param {number} crc - checksum of everything before the chunk
+ */
+const updateCrc32 = zlib.crc32
+    ? (buffer, crc) => zlib.crc32(buffer, crc)
+    : (buffer, crc) => {
+        let c = (crc ^ 0xFFFFFFFF) >>> 0
+        for (const byte of buffer) {
+            c = CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8)
+        }
+        return (c ^ 0xFFFFFFFF) >>> 0
+    }
+
+// MS-DOS date and time fields, with two second precision
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+})
+
+const UTF8_FLAG = 0x0800
+// crc and sizes follow the data in a data descriptor, they aren't known before it is written
+const DATA_DESCRIPTOR_FLAG = 0x0008
+const FLAGS = UTF8_FLAG | DATA_DESCRIPTOR_FLAG
+const DEFLATE = 8
+const VERSION = 20
+
+const toChunks = (data) => typeof data === "string" || Buffer.isBuffer(data) ? [data] : data
+
+/**
+ * Writes a zip archive to `filePath` one entry at a time, deflating them through zlib streams so
+ * neither the whole archive nor a whole entry has to be held in memory. There is no zip64 support,
+ * so everything has to stay below 4 GB.
+ * @param {string} filePath
+ * @param {Array<{name: string, data: Buffer | string | Iterable<Buffer | string> | AsyncIterable<Buffer | string>}>} entries
+ * @returns {Promise<number>} size of the archive in bytes
+ */
+const writeZip = async (filePath, entries, modifiedAt = new Date()) => {
+    const { time, date } = toDosDateTime(modifiedAt)
+    const centralParts = []
+    const file = await fs.promises.open(filePath, "w")
+    let offset = 0
+
+    const write = async (buffer) => {
+        await file.write(buffer)
+        offset += buffer.length
+    }
+
+    try {
+        for (const entry of entries) {
+            const name = Buffer.from(entry.name, "utf8")
+            const entryOffset = offset
+            let crc = 0
+            let size = 0
+            let compressedSize = 0
+
+            const local = Buffer.alloc(30)
+            local.writeUInt32LE(0x04034b50, 0)
+            local.writeUInt16LE(VERSION, 4)
+            local.writeUInt16LE(FLAGS, 6)
+            local.writeUInt16LE(DEFLATE, 8)
+            local.writeUInt16LE(time, 10)
+            local.writeUInt16LE(date, 12)
+            // crc and sizes (14-25) stay 0, see the data descriptor
+            local.writeUInt16LE(name.length, 26)
+            local.writeUInt16LE(0, 28)
+
+            await write(local)
+            await write(name)
+
+            await pipeline(
+                toChunks(entry.data),
+                async function* (source) {
+                    for await (const chunk of source) {
+                        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, "utf8")
+                        crc = updateCrc32(buffer, crc)
+                        size += buffer.length
+                        yield buffer
+                    }
+                },
+                zlib.createDeflateRaw(),
+                async (compressed) => {
+                    for await (const chunk of compressed) {
+                        await write(chunk)
+                        compressedSize += chunk.length
+                    }
+                }
+            )
+
+            const descriptor = Buffer.alloc(16)
+            descriptor.writeUInt32LE(0x08074b50, 0)
+            descriptor.writeUInt32LE(crc, 4)
+            descriptor.writeUInt32LE(compressedSize, 8)
+            descriptor.writeUInt32LE(size, 12)
+            await write(descriptor)
+
+            const central = Buffer.alloc(46)
+            central.writeUInt32LE(0x02014b50, 0)
+            central.writeUInt16LE(VERSION, 4)
+            central.writeUInt16LE(VERSION, 6)
+            central.writeUInt16LE(FLAGS, 8)
+            central.writeUInt16LE(DEFLATE, 10)
+            central.writeUInt16LE(time, 12)
+            central.writeUInt16LE(date, 14)
+            central.writeUInt32LE(crc, 16)
+            central.writeUInt32LE(compressedSize, 20)
+            central.writeUInt32LE(size, 24)
+            central.writeUInt16LE(name.length, 28)
+            // extra field, comment, disk number, attributes are all left at 0
+            central.writeUInt32LE(entryOffset, 42)
+
+            centralParts.push(central, name)
+        }
+
+        const centralDirectory = Buffer.concat(centralParts)
+        const centralOffset = offset
+
+        const end = Buffer.alloc(22)
+        end.writeUInt32LE(0x06054b50, 0)
+        end.writeUInt16LE(entries.length, 8)
+        end.writeUInt16LE(entries.length, 10)
+        end.writeUInt32LE(centralDirectory.length, 12)
+        end.writeUInt32LE(centralOffset, 16)
+
+        await write(centralDirectory)
+        await write(end)
+    } finally {
+        await file.close()
+    }
+
+    return offset
+}
+
+export { writeZip }
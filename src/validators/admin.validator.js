@@ -0,0 +1,70 @@
+import { t } from "../utils/validation.js";
+import { USER_ROLES, ACCOUNT_STATUSES } from "../models/user.model.js";
+import { MODERATION_ACTIONS, MODERATION_TARGETS } from "../models/moderationLog.model.js";
+import { paginationQuery } from "./common.validator.js";
+
+const reasonBody = {
+    reason: t.string({ max: 500, description: "Shown in the moderation history" })
+}
+
+export const listUsersSchema = {
+    query: {
+        ...paginationQuery,
+        q: t.string({ max: 100, description: "Matches username, email and full name" }),
+        role: t.oneOf(USER_ROLES),
+        status: t.oneOf(ACCOUNT_STATUSES)
+    }
+}
+
+export const updateUserStatusSchema = {
+    params: {
+        userId: t.objectId({ required: true })
+    },
+    body: {
+        status: t.oneOf(ACCOUNT_STATUSES, { required: true }),
+        suspendedUntil: t.date({ description: "Only for suspensions, leave empty to suspend until reinstated" }),
+        ...reasonBody
+    }
+}
+
+export const updateUserRoleSchema = {
+    params: {
+        userId: t.objectId({ required: true })
+    },
+    body: {
+        role: t.oneOf(USER_ROLES, { required: true }),
+        ...reasonBody
+    }
+}
+
+export const moderateVideoSchema = {
+    params: {
+        videoId: t.objectId({ required: true })
+    },
+    body: reasonBody
+}
+
+export const moderateCommentSchema = {
+    params: {
+        commentId: t.objectId({ required: true })
+    },
+    body: reasonBody
+}
+
+export const moderateTweetSchema = {
+    params: {
+        tweetId: t.objectId({ required: true })
+    },
+    body: reasonBody
+}
+
+export const moderationLogsSchema = {
+    query: {
+        ...paginationQuery,
+        action: t.oneOf(MODERATION_ACTIONS),
+        targetType: t.oneOf(MODERATION_TARGETS),
+        targetId: t.objectId(),
+        targetUser: t.objectId(),
+        moderator: t.objectId()
+    }
+}
@@ -0,0 +1,44 @@
+import { t } from "../utils/validation.js";
+import { paginationQuery } from "./common.validator.js";
+
+const content = t.string({ required: true, max: 1000 })
+
+const commentIdParams = {
+    commentId: t.objectId({ required: true })
+}
+
+export const getVideoCommentsSchema = {
+    params: {
+        videoId: t.objectId({ required: true })
+    },
+    query: {
+        ...paginationQuery,
+        sortBy: t.oneOf(["newest", "top"], { default: "newest" })
+    }
+}
+
+export const addCommentSchema = {
+    params: {
+        videoId: t.objectId({ required: true })
+    },
+    body: {
+        content,
+        parentCommentId: t.objectId({ description: "Set to reply to a comment" })
+    }
+}
+
+export const getCommentRepliesSchema = {
+    params: commentIdParams,
+    query: paginationQuery
+}
+
+export const updateCommentSchema = {
+    params: commentIdParams,
+    body: {
+        content
+    }
+}
+
+export const commentIdSchema = {
+    params: commentIdParams
+}
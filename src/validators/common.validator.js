@@ -0,0 +1,10 @@
+import { t } from "../utils/validation.js";
+
+export const paginationQuery = {
+    page: t.integer({ min: 1, default: 1, description: "Page number, starting at 1" }),
+    limit: t.integer({ min: 1, max: 50, default: 10, description: "Items per page" })
+}
+
+export const IMAGE_TYPES = ["image/"]
+
+export const VIDEO_TYPES = ["video/"]
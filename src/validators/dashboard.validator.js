@@ -0,0 +1,15 @@
+import { t } from "../utils/validation.js";
+import { paginationQuery } from "./common.validator.js";
+
+export const channelVideosSchema = {
+    query: paginationQuery
+}
+
+export const channelSeriesSchema = {
+    query: {
+        metric: t.oneOf(["views", "subscribers"], { default: "views" }),
+        interval: t.oneOf(["daily", "weekly"], { default: "daily" }),
+        from: t.date({ description: "Defaults to 30 days before `to`" }),
+        to: t.date({ description: "Defaults to now" })
+    }
+}
@@ -0,0 +1,16 @@
+import { t } from "../utils/validation.js";
+
+const exportIdParams = {
+    exportId: t.objectId({ required: true })
+}
+
+export const exportIdSchema = {
+    params: exportIdParams
+}
+
+export const downloadExportSchema = {
+    params: exportIdParams,
+    query: {
+        token: t.string({ required: true, max: 2000, description: "Signed token from downloadUrl" })
+    }
+}
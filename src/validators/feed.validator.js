@@ -0,0 +1,11 @@
+import { t } from "../utils/validation.js";
+import { paginationQuery } from "./common.validator.js";
+
+export const FEED_TYPES = ["trending", "for-you"]
+
+export const feedSchema = {
+    query: {
+        ...paginationQuery,
+        type: t.oneOf(FEED_TYPES, { default: "trending" })
+    }
+}
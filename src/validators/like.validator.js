@@ -0,0 +1,24 @@
+import { t } from "../utils/validation.js";
+import { paginationQuery } from "./common.validator.js";
+
+export const toggleVideoLikeSchema = {
+    params: {
+        videoId: t.objectId({ required: true })
+    }
+}
+
+export const toggleCommentLikeSchema = {
+    params: {
+        commentId: t.objectId({ required: true })
+    }
+}
+
+export const toggleTweetLikeSchema = {
+    params: {
+        tweetId: t.objectId({ required: true })
+    }
+}
+
+export const getLikedVideosSchema = {
+    query: paginationQuery
+}
@@ -0,0 +1,20 @@
+import { t } from "../utils/validation.js";
+import { paginationQuery } from "./common.validator.js";
+import { NOTIFICATION_TYPES } from "../models/notification.model.js";
+
+export const getNotificationsSchema = {
+    query: {
+        ...paginationQuery,
+        unread: t.boolean({ default: false, description: "Only unread notifications" })
+    }
+}
+
+export const notificationIdSchema = {
+    params: {
+        notificationId: t.objectId({ required: true })
+    }
+}
+
+export const updateNotificationPreferencesSchema = {
+    body: Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, t.boolean()]))
+}
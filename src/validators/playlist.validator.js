@@ -0,0 +1,63 @@
+import { t } from "../utils/validation.js";
+import { PLAYLIST_VISIBILITY } from "../models/playlist.model.js";
+
+const playlistIdParams = {
+    playlistId: t.objectId({ required: true })
+}
+
+const playlistVideoParams = {
+    videoId: t.objectId({ required: true }),
+    playlistId: t.objectId({ required: true })
+}
+
+export const createPlaylistSchema = {
+    body: {
+        name: t.string({ required: true, max: 100 }),
+        description: t.string({ required: true, max: 1000 }),
+        visibility: t.oneOf(PLAYLIST_VISIBILITY)
+    }
+}
+
+export const getUserPlaylistsSchema = {
+    params: {
+        userId: t.objectId({ required: true })
+    }
+}
+
+export const playlistIdSchema = {
+    params: playlistIdParams
+}
+
+export const updatePlaylistSchema = {
+    params: playlistIdParams,
+    body: {
+        name: t.string({ max: 100 }),
+        description: t.string({ max: 1000 }),
+        visibility: t.oneOf(PLAYLIST_VISIBILITY)
+    }
+}
+
+export const playlistVideoSchema = {
+    params: playlistVideoParams
+}
+
+export const moveVideoSchema = {
+    params: playlistVideoParams,
+    body: {
+        position: t.integer({ required: true, min: 0, description: "Zero based target position" })
+    }
+}
+
+export const addCollaboratorSchema = {
+    params: playlistIdParams,
+    body: {
+        userId: t.objectId({ required: true })
+    }
+}
+
+export const removeCollaboratorSchema = {
+    params: {
+        ...playlistIdParams,
+        userId: t.objectId({ required: true })
+    }
+}
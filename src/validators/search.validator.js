@@ -0,0 +1,20 @@
+import { t } from "../utils/validation.js";
+import { paginationQuery } from "./common.validator.js";
+
+export const searchSchema = {
+    query: {
+        ...paginationQuery,
+        q: t.string({ required: true, max: 100 }),
+        type: t.string({ max: 50, description: "Comma separated list of video, channel, tweet" }),
+        from: t.date(),
+        to: t.date(),
+        minDuration: t.number({ min: 0, description: "Seconds" }),
+        maxDuration: t.number({ min: 0, description: "Seconds" })
+    }
+}
+
+export const suggestionsSchema = {
+    query: {
+        q: t.string({ max: 100 })
+    }
+}
@@ -0,0 +1,22 @@
+import { t } from "../utils/validation.js";
+import { paginationQuery } from "./common.validator.js";
+
+export const toggleSubscriptionSchema = {
+    params: {
+        channelId: t.objectId({ required: true })
+    }
+}
+
+export const channelSubscribersSchema = {
+    params: {
+        channelId: t.objectId({ required: true })
+    },
+    query: paginationQuery
+}
+
+export const subscribedChannelsSchema = {
+    params: {
+        subscriberId: t.objectId({ required: true })
+    },
+    query: paginationQuery
+}
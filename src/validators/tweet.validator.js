@@ -0,0 +1,39 @@
+import { t } from "../utils/validation.js";
+import { paginationQuery } from "./common.validator.js";
+
+const content = t.string({ required: true, max: 280 })
+
+export const createTweetSchema = {
+    body: {
+        content
+    }
+}
+
+export const getUserTweetsSchema = {
+    params: {
+        userId: t.objectId({ required: true })
+    },
+    query: paginationQuery
+}
+
+export const communityFeedSchema = {
+    query: {
+        cursor: t.string({ max: 200, description: "nextCursor from the previous page" }),
+        limit: paginationQuery.limit
+    }
+}
+
+export const updateTweetSchema = {
+    params: {
+        tweetId: t.objectId({ required: true })
+    },
+    body: {
+        content
+    }
+}
+
+export const tweetIdSchema = {
+    params: {
+        tweetId: t.objectId({ required: true })
+    }
+}
@@ -0,0 +1,34 @@
+import { t } from "../utils/validation.js";
+import { MIN_CHUNK_SIZE, MAX_CHUNK_SIZE, DEFAULT_CHUNK_SIZE } from "../utils/uploadSessions.js";
+import { PROBED_MIME_TYPES } from "../utils/mediaProbe.js";
+
+const uploadIdParams = {
+    uploadId: t.objectId({ required: true })
+}
+
+export const initiateUploadSchema = {
+    body: {
+        fileName: t.string({ required: true, max: 255 }),
+        mimeType: t.oneOf(PROBED_MIME_TYPES, { required: true }),
+        totalSize: t.integer({ required: true, min: 1, description: "Bytes" }),
+        chunkSize: t.integer({ min: MIN_CHUNK_SIZE, max: MAX_CHUNK_SIZE, default: DEFAULT_CHUNK_SIZE, description: "Bytes, every chunk but the last has this size" }),
+        checksum: t.string({
+            required: true,
+            lowercase: true,
+            pattern: /^[0-9a-f]{64}$/,
+            patternMessage: "must be a hex encoded sha256 hash",
+            description: "sha256 of the whole file"
+        })
+    }
+}
+
+export const uploadIdSchema = {
+    params: uploadIdParams
+}
+
+export const uploadChunkSchema = {
+    params: {
+        ...uploadIdParams,
+        index: t.integer({ required: true, min: 0, description: "Chunk number, starting at 0" })
+    }
+}
@@ -0,0 +1,122 @@
+import { t } from "../utils/validation.js";
+import { paginationQuery, IMAGE_TYPES } from "./common.validator.js";
+
+const username = t.string({
+    lowercase: true,
+    min: 3,
+    max: 30,
+    pattern: /^[a-z0-9_.]+$/,
+    patternMessage: "can only contain letters, numbers, dots and underscores"
+})
+
+const fullName = t.string({ min: 1, max: 100 })
+
+export const registerUserSchema = {
+    body: {
+        fullName: { ...fullName, required: true },
+        email: t.email({ required: true }),
+        username: { ...username, required: true },
+        password: t.password({ required: true })
+    },
+    files: {
+        avatar: t.file({ required: true, mimeTypes: IMAGE_TYPES }),
+        coverImage: t.file({ mimeTypes: IMAGE_TYPES })
+    }
+}
+
+// Login doesn't apply the strength rules so accounts created before them can still sign in
+export const loginUserSchema = {
+    body: {
+        username: t.string({ lowercase: true, max: 30 }),
+        email: t.email(),
+        password: t.string({ required: true, trim: false, max: 128 })
+    }
+}
+
+// Restoring a deleted account takes the same credentials as logging in
+export const restoreAccountSchema = loginUserSchema
+
+export const deleteAccountSchema = {
+    body: {
+        password: t.string({ required: true, trim: false, max: 128 })
+    }
+}
+
+export const refreshAccessTokenSchema = {
+    body: {
+        refreshToken: t.string({ description: "Only needed when the refreshToken cookie isn't sent" })
+    }
+}
+
+export const changePasswordSchema = {
+    body: {
+        currentPassword: t.string({ required: true, trim: false, max: 128 }),
+        newPassword: t.password({ required: true })
+    }
+}
+
+export const updateAccountDetailsSchema = {
+    body: {
+        fullName: { ...fullName, required: true },
+        email: t.email({ required: true })
+    }
+}
+
+export const updateAvatarSchema = {
+    files: {
+        avatar: t.file({ required: true, mimeTypes: IMAGE_TYPES })
+    }
+}
+
+export const updateCoverImageSchema = {
+    files: {
+        coverImage: t.file({ required: true, mimeTypes: IMAGE_TYPES })
+    }
+}
+
+export const channelProfileSchema = {
+    params: {
+        username: t.string({ required: true, lowercase: true, max: 30 })
+    }
+}
+
+export const sessionIdSchema = {
+    params: {
+        sessionId: t.objectId({ required: true })
+    }
+}
+
+export const verifyEmailSchema = {
+    body: {
+        token: t.string({ required: true, max: 2048 })
+    }
+}
+
+export const forgotPasswordSchema = {
+    body: {
+        email: t.email({ required: true })
+    }
+}
+
+export const resetPasswordSchema = {
+    body: {
+        token: t.string({ required: true, max: 2048 }),
+        newPassword: t.password({ required: true })
+    }
+}
+
+export const watchHistorySchema = {
+    query: paginationQuery
+}
+
+export const watchHistoryEntrySchema = {
+    params: {
+        videoId: t.objectId({ required: true })
+    }
+}
+
+export const pauseWatchHistorySchema = {
+    body: {
+        paused: t.boolean({ required: true })
+    }
+}
@@ -0,0 +1,54 @@
+import { t } from "../utils/validation.js";
+import { paginationQuery, IMAGE_TYPES, VIDEO_TYPES } from "./common.validator.js";
+
+const videoIdParams = {
+    videoId: t.objectId({ required: true })
+}
+
+export const getAllVideosSchema = {
+    query: {
+        ...paginationQuery,
+        query: t.string({ max: 100, description: "Matches titles and descriptions" }),
+        sortBy: t.oneOf(["createdAt", "views", "likes", "duration", "title"], { default: "createdAt" }),
+        sortType: t.oneOf(["asc", "desc"], { default: "desc" }),
+        userId: t.objectId({ description: "Only videos of this channel" }),
+        minDuration: t.number({ min: 0, description: "Seconds" }),
+        maxDuration: t.number({ min: 0, description: "Seconds" }),
+        minHeight: t.integer({ min: 0, description: "Pixels, e.g. 720 for HD and up" }),
+        codec: t.string({ lowercase: true, max: 20, description: "e.g. h264, vp9, av1" })
+    }
+}
+
+export const publishVideoSchema = {
+    body: {
+        title: t.string({ required: true, max: 100 }),
+        description: t.string({ required: true, max: 5000 }),
+        uploadId: t.objectId({ description: "A completed chunked upload, instead of sending videoFile" })
+    },
+    files: {
+        videoFile: t.file({ mimeTypes: VIDEO_TYPES, description: "MP4, MOV, WebM or MKV" }),
+        thumbnail: t.file({ mimeTypes: IMAGE_TYPES, description: "Taken from the video when left out" })
+    }
+}
+
+export const videoIdSchema = {
+    params: videoIdParams
+}
+
+export const updateVideoSchema = {
+    params: videoIdParams,
+    body: {
+        title: t.string({ max: 100 }),
+        description: t.string({ max: 5000 })
+    },
+    files: {
+        thumbnail: t.file({ mimeTypes: IMAGE_TYPES })
+    }
+}
+
+export const recordViewSchema = {
+    params: videoIdParams,
+    body: {
+        position: t.number({ min: 0, default: 0, description: "Resume position in seconds" })
+    }
+}